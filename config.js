@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CONFIG_DIR = process.env.KIMI_CODE_CONFIG_DIR ||
+  path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'kimi-code');
+const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+
+const DEFAULT_PROFILE = 'groq';
+
+// Profiles available without a config file. A profile with the same name in
+// config.json overrides individual fields of the built-in one.
+const BUILTIN_PROFILES = {
+  groq: {
+    label: 'Groq',
+    baseUrl: 'https://api.groq.com/openai',
+    reasoningModel: 'moonshotai/kimi-k2-instruct',
+    completionModel: 'moonshotai/kimi-k2-instruct',
+    maxTokens: 16384,
+    unsupportedParams: ['top_k'],
+    // Kept from before profiles existed so previously stored keys are still found
+    credential: 'groq-api-key',
+    keyUrl: 'https://console.groq.com/keys'
+  },
+  moonshot: {
+    label: 'Moonshot',
+    baseUrl: 'https://api.moonshot.ai',
+    reasoningModel: 'kimi-k2-0905-preview',
+    completionModel: 'kimi-k2-0905-preview',
+    maxTokens: 32768,
+    unsupportedParams: ['top_k'],
+    tokenCounter: 'moonshot',
+    keyUrl: 'https://platform.moonshot.ai/console/api-keys'
+  },
+  // Moonshot's Anthropic-compatible endpoint, sharing the key of the moonshot profile
+  'moonshot-anthropic': {
+    label: 'Moonshot',
+    baseUrl: 'https://api.moonshot.ai/anthropic',
+    protocol: 'anthropic',
+    reasoningModel: 'kimi-k2-0905-preview',
+    completionModel: 'kimi-k2-0905-preview',
+    maxTokens: 32768,
+    credential: 'moonshot-api-key',
+    apiKeyEnv: 'MOONSHOT_API_KEY',
+    keyUrl: 'https://platform.moonshot.ai/console/api-keys'
+  },
+  openrouter: {
+    label: 'OpenRouter',
+    baseUrl: 'https://openrouter.ai/api',
+    reasoningModel: 'moonshotai/kimi-k2',
+    completionModel: 'moonshotai/kimi-k2',
+    maxTokens: 16384,
+    keyUrl: 'https://openrouter.ai/keys'
+  },
+  local: {
+    label: 'local server',
+    baseUrl: 'http://localhost:8000',
+    reasoningModel: 'moonshotai/Kimi-K2-Instruct',
+    completionModel: 'moonshotai/Kimi-K2-Instruct',
+    maxTokens: 16384,
+    // vLLM and Ollama don't require a key by default
+    credential: false
+  }
+};
+
+// Read config.json; a missing file is the same as an empty config
+function loadConfig() {
+  if (!fs.existsSync(CONFIG_FILE)) {
+    return { profiles: {} };
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    return { ...config, profiles: config.profiles || {} };
+  } catch (error) {
+    throw new Error(`Failed to read ${CONFIG_FILE}: ${error.message}`);
+  }
+}
+
+function listProfiles(config = loadConfig()) {
+  return [...new Set([...Object.keys(BUILTIN_PROFILES), ...Object.keys(config.profiles)])];
+}
+
+// Resolve a profile by name, falling back to the configured default profile.
+//
+// Profile fields:
+// - label: provider name shown in prompts
+// - baseUrl: API endpoint without /v1
+// - protocol: 'openai' (chat completions, default), 'responses' (OpenAI Responses API) or
+//   'anthropic' (Messages API, passed through)
+// - authHeader: header carrying the key for 'anthropic' upstreams, 'x-api-key' (default) or 'authorization'
+// - reasoningModel, completionModel: upstream model ids
+// - modelMap: { pattern: model } sending matching Claude model names to other upstream models
+// - maxTokens: upper limit for max_tokens sent upstream
+// - contextWindow: context window in tokens, for all models or as { model: tokens }
+// - trimToolResults: trim old tool results instead of failing when the prompt is too long
+// - unsupportedParams: request parameters the provider rejects, dropped before sending
+// - tools: { transforms, deny, ... } settings for tool definitions sent upstream, see tools.js
+// - reaskToolCalls: ask again once when tool call arguments don't match the tool's schema
+// - headers: extra headers sent with every upstream request
+// - credential: keychain account holding the API key, or false if no key is needed
+// - keyUrl: where to get an API key
+// - tokenCounter: see --token-counter
+// - fallbacks: upstreams to fail over to, see resolveFallback
+function resolveProfile(name, config = loadConfig()) {
+  const profileName = name || config.defaultProfile || DEFAULT_PROFILE;
+  const builtin = BUILTIN_PROFILES[profileName];
+  const custom = config.profiles[profileName];
+
+  if (!builtin && !custom) {
+    throw new Error(`Unknown profile "${profileName}". Available profiles: ${listProfiles(config).join(', ')}`);
+  }
+
+  const profile = {
+    label: profileName,
+    reasoningModel: 'moonshotai/kimi-k2-instruct',
+    completionModel: 'moonshotai/kimi-k2-instruct',
+    credential: `${profileName}-api-key`,
+    headers: {},
+    ...builtin,
+    ...custom,
+    name: profileName
+  };
+
+  if (!profile.baseUrl) {
+    throw new Error(`Profile "${profileName}" in ${CONFIG_FILE} has no baseUrl`);
+  }
+
+  return profile;
+}
+
+// Resolve an entry of a profile's `fallbacks` list. Entries are either a profile name or
+// an object with profile fields; `profile` bases the object on an existing profile and
+// `model` sets both the reasoning and completion model.
+function resolveFallback(entry, config = loadConfig()) {
+  if (typeof entry === 'string') {
+    return resolveProfile(entry, config);
+  }
+
+  const base = entry.profile
+    ? resolveProfile(entry.profile, config)
+    : { label: 'fallback', credential: false, headers: {} };
+  const fallback = {
+    ...base,
+    ...entry,
+    name: entry.name || entry.profile || entry.baseUrl
+  };
+
+  if (entry.model) {
+    fallback.reasoningModel = entry.model;
+    fallback.completionModel = entry.model;
+  }
+
+  if (!fallback.baseUrl) {
+    throw new Error(`Fallback ${JSON.stringify(entry)} in ${CONFIG_FILE} has no baseUrl or profile`);
+  }
+
+  return fallback;
+}
+
+module.exports = {
+  CONFIG_DIR,
+  CONFIG_FILE,
+  BUILTIN_PROFILES,
+  loadConfig,
+  listProfiles,
+  resolveProfile,
+  resolveFallback
+};
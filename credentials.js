@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { promisify } = require('util');
+const { exec } = require('child_process');
+const { CONFIG_DIR } = require('./config.js');
+
+const SERVICE_NAME = 'kimi-code';
+const CREDENTIALS_FILE = path.join(CONFIG_DIR, 'credentials.enc.json');
+const HELPER_TIMEOUT = 30000;
+
+const execAsync = promisify(exec);
+
+// keytar is a native module; on machines where it can't be built or loaded we carry on
+// with the other backends instead of failing at startup.
+let keytar;
+function loadKeytar() {
+  if (keytar === undefined) {
+    try {
+      keytar = require('keytar');
+    } catch (error) {
+      keytar = null;
+    }
+  }
+  return keytar;
+}
+
+// Function to prompt without echoing what is typed
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: true
+    });
+
+    // Print the question ourselves and swallow readline's echo of the input
+    process.stdout.write(question);
+    rl._writeToOutput = () => {};
+    rl.question('', (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+// Environment variables checked for a profile's key. KIMI_API_KEY only applies to the
+// profile kimi was started with, so it never leaks into fallback upstreams.
+function envNames(profile, primary) {
+  const names = [].concat(profile.apiKeyEnv || `${profile.name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_API_KEY`);
+  return primary ? ['KIMI_API_KEY', ...names] : names;
+}
+
+const envBackend = {
+  name: 'env',
+  async get(profile, { primary }) {
+    const name = envNames(profile, primary).find(candidate => process.env[candidate]);
+    return name ? { key: process.env[name], source: `environment variable ${name}` } : null;
+  },
+  async status(profile, { primary }) {
+    const names = envNames(profile, primary);
+    const name = names.find(candidate => process.env[candidate]);
+    return { available: true, hasKey: Boolean(name), detail: name || `checks ${names.join(', ')}` };
+  }
+};
+
+// apiKeyHelper: a shell command whose stdout is the key, e.g. `op read op://dev/groq/key`
+const commandBackend = {
+  name: 'command',
+  async get(profile) {
+    if (!profile.apiKeyHelper) return null;
+    const { stdout } = await execAsync(profile.apiKeyHelper, { timeout: HELPER_TIMEOUT });
+    const key = stdout.trim();
+    if (!key) {
+      throw new Error(`apiKeyHelper \`${profile.apiKeyHelper}\` printed nothing`);
+    }
+    return { key, source: 'apiKeyHelper command' };
+  },
+  async status(profile) {
+    return {
+      available: Boolean(profile.apiKeyHelper),
+      hasKey: Boolean(profile.apiKeyHelper),
+      detail: profile.apiKeyHelper ? `runs \`${profile.apiKeyHelper}\`` : 'no apiKeyHelper configured'
+    };
+  }
+};
+
+const keychainBackend = {
+  name: 'keychain',
+  async available() {
+    const store = loadKeytar();
+    if (!store) return false;
+    try {
+      await store.findCredentials(SERVICE_NAME);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+  async get(profile) {
+    if (!(await this.available())) return null;
+    const key = await keytar.getPassword(SERVICE_NAME, profile.credential);
+    return key ? { key, source: 'keychain' } : null;
+  },
+  async set(profile, key) {
+    await keytar.setPassword(SERVICE_NAME, profile.credential, key);
+  },
+  async clear(profile) {
+    if (!(await this.available())) return false;
+    return keytar.deletePassword(SERVICE_NAME, profile.credential);
+  },
+  async status(profile) {
+    if (!loadKeytar()) {
+      return { available: false, hasKey: false, detail: 'keytar is not installed or failed to load' };
+    }
+    if (!(await this.available())) {
+      return { available: false, hasKey: false, detail: 'no keychain or Secret Service available' };
+    }
+    const key = await keytar.getPassword(SERVICE_NAME, profile.credential);
+    return { available: true, hasKey: Boolean(key), detail: `account "${profile.credential}"` };
+  }
+};
+
+// Passphrase-encrypted file under the config dir. Each account is encrypted separately
+// with AES-256-GCM using a key derived from the passphrase with scrypt.
+let cachedPassphrase = null;
+
+async function getPassphrase(confirm = false) {
+  if (process.env.KIMI_PASSPHRASE) return process.env.KIMI_PASSPHRASE;
+  if (cachedPassphrase) return cachedPassphrase;
+  if (!process.stdin.isTTY) {
+    throw new Error('Set KIMI_PASSPHRASE to unlock the credentials file.');
+  }
+
+  const passphrase = await promptHidden('Passphrase for the kimi-code credentials file: ');
+  if (!passphrase) {
+    throw new Error('A passphrase is required to use the credentials file.');
+  }
+  if (confirm && await promptHidden('Repeat passphrase: ') !== passphrase) {
+    throw new Error('Passphrases do not match.');
+  }
+  cachedPassphrase = passphrase;
+  return passphrase;
+}
+
+function readCredentialsFile() {
+  if (!fs.existsSync(CREDENTIALS_FILE)) return { version: 1, accounts: {} };
+  return JSON.parse(fs.readFileSync(CREDENTIALS_FILE, 'utf8'));
+}
+
+function writeCredentialsFile(contents) {
+  fs.mkdirSync(CONFIG_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(CREDENTIALS_FILE, JSON.stringify(contents, null, 2) + '\n', { mode: 0o600 });
+}
+
+function encrypt(plaintext, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(passphrase, salt, 32), iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt(entry, passphrase) {
+  const key = crypto.scryptSync(passphrase, Buffer.from(entry.salt, 'base64'), 32);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(entry.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(entry.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    throw new Error('Wrong passphrase for the credentials file.');
+  }
+}
+
+// Decrypt with a passphrase from getPassphrase, forgetting it when it's wrong so the next
+// attempt asks again instead of reusing it
+function decryptWithPassphrase(entry, passphrase) {
+  try {
+    return decrypt(entry, passphrase);
+  } catch (error) {
+    cachedPassphrase = null;
+    throw error;
+  }
+}
+
+const fileBackend = {
+  name: 'file',
+  async available() {
+    return true;
+  },
+  async get(profile) {
+    const entry = readCredentialsFile().accounts[profile.credential];
+    if (!entry) return null;
+    return { key: decryptWithPassphrase(entry, await getPassphrase()), source: `encrypted file ${CREDENTIALS_FILE}` };
+  },
+  async set(profile, key) {
+    const contents = readCredentialsFile();
+    const entries = Object.values(contents.accounts);
+    const passphrase = await getPassphrase(entries.length === 0);
+    // All entries share one passphrase; one that can't open the others would lock them out
+    if (entries.length > 0) decryptWithPassphrase(entries[0], passphrase);
+    contents.accounts[profile.credential] = encrypt(key, passphrase);
+    writeCredentialsFile(contents);
+  },
+  async clear(profile) {
+    const contents = readCredentialsFile();
+    if (!contents.accounts[profile.credential]) return false;
+    delete contents.accounts[profile.credential];
+    writeCredentialsFile(contents);
+    return true;
+  },
+  async status(profile) {
+    const hasKey = Boolean(readCredentialsFile().accounts[profile.credential]);
+    return { available: true, hasKey, detail: `${CREDENTIALS_FILE}, account "${profile.credential}"` };
+  }
+};
+
+// Backends in the order they are checked for a key
+const BACKENDS = [envBackend, commandBackend, keychainBackend, fileBackend];
+// Backends that can store a key
+const STORES = { keychain: keychainBackend, file: fileBackend };
+
+// Where new keys for a profile are saved: `credentialStore` from the profile, otherwise
+// the keychain when one is usable and the encrypted file when not.
+async function getStore(profile) {
+  if (profile.credentialStore) {
+    const store = STORES[profile.credentialStore];
+    if (!store) {
+      throw new Error(`Unknown credentialStore "${profile.credentialStore}" in profile ${profile.name}. Use keychain or file.`);
+    }
+    return store;
+  }
+  return (await keychainBackend.available()) ? keychainBackend : fileBackend;
+}
+
+// Find the API key for a profile. Resolves with { key, source } or null when no backend
+// has one. Pass `primary` for the profile kimi was started with.
+async function resolveApiKey(profile, { primary = false } = {}) {
+  for (const backend of BACKENDS) {
+    try {
+      const result = await backend.get(profile, { primary });
+      if (result) return { ...result, backend: backend.name };
+    } catch (error) {
+      console.error(`Failed to read API key from ${backend.name}:`, error.message);
+    }
+  }
+  return null;
+}
+
+// Save a key for a profile and return the name of the backend that holds it
+async function storeApiKey(profile, key) {
+  const store = await getStore(profile);
+  await store.set(profile, key);
+  return store.name;
+}
+
+// Remove a profile's key from every backend that can store one. Returns the names of
+// the backends that held a key.
+async function clearApiKey(profile) {
+  const cleared = [];
+  for (const store of Object.values(STORES)) {
+    try {
+      if (await store.clear(profile)) cleared.push(store.name);
+    } catch (error) {
+      console.error(`Failed to clear API key from ${store.name}:`, error.message);
+    }
+  }
+  return cleared;
+}
+
+// Report every backend for a profile without revealing the key
+async function credentialStatus(profile, { primary = false } = {}) {
+  const statuses = [];
+  for (const backend of BACKENDS) {
+    try {
+      statuses.push({ backend: backend.name, ...(await backend.status(profile, { primary })) });
+    } catch (error) {
+      statuses.push({ backend: backend.name, available: false, hasKey: false, detail: error.message });
+    }
+  }
+  return statuses;
+}
+
+module.exports = {
+  CREDENTIALS_FILE,
+  resolveApiKey,
+  storeApiKey,
+  clearApiKey,
+  credentialStatus,
+  getStore
+};
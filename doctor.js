@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { start: startProxyServer } = require('./proxy.js');
+const { resolveApiKey } = require('./credentials.js');
+
+// Each request the doctor makes gets this long before it counts as failed
+const REQUEST_TIMEOUT = 60000;
+
+const WEATHER_TOOL = {
+  name: 'get_weather',
+  description: 'Get the current weather for a city',
+  input_schema: {
+    type: 'object',
+    properties: { city: { type: 'string', description: 'City name' } },
+    required: ['city']
+  }
+};
+
+// What to do about an error from the proxy, by Anthropic error type
+const ERROR_HINTS = {
+  authentication_error: 'The provider rejected the API key. Check it with `kimi auth status` and replace it with `kimi auth set`.',
+  permission_error: 'The API key has no access to this model. Check your plan, or pick another model.',
+  not_found_error: 'Check the base URL (without /v1) and the model id.',
+  rate_limit_error: 'The provider is rate limiting this key. Wait a little, or check your plan\'s limits.',
+  invalid_request_error: 'The provider rejected the request. Check the model id, and list parameters it rejects in `unsupportedParams`.',
+  overloaded_error: 'The provider is overloaded or down. Try again later, or configure a fallback.',
+  api_error: 'Check that the base URL is right and reachable from this machine.'
+};
+
+// Find `name` on the PATH, returning its full path or null
+function findExecutable(name, searchPath = process.env.PATH || '') {
+  const extensions = process.platform === 'win32'
+    ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')
+    : [''];
+  for (const dir of searchPath.split(path.delimiter).filter(Boolean)) {
+    for (const extension of extensions) {
+      const candidate = path.join(dir, name + extension);
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        if (fs.statSync(candidate).isFile()) return candidate;
+      } catch (error) {
+        // Not here
+      }
+    }
+  }
+  return null;
+}
+
+// Resolve the key the way kimi does, without prompting or storing anything
+async function checkApiKey(profile, apiKey) {
+  const name = 'API key';
+  if (profile.credential === false) return { name, status: 'pass', detail: 'not needed for this profile', key: apiKey };
+  if (apiKey) return { name, status: 'pass', detail: 'from --api-key', key: apiKey };
+  try {
+    const resolved = await resolveApiKey(profile, { primary: true });
+    if (resolved) return { name, status: 'pass', detail: `from ${resolved.source}`, key: resolved.key };
+  } catch (error) {
+    return { name, status: 'fail', detail: error.message, hint: 'Check the credential backend with `kimi auth status`.' };
+  }
+  return {
+    name,
+    status: 'fail',
+    detail: 'no key found',
+    hint: `Store one with \`kimi auth set --profile ${profile.name}\`, or set KIMI_API_KEY.` +
+      (profile.keyUrl ? ` Keys are at ${profile.keyUrl}` : '')
+  };
+}
+
+function checkClaude(exec) {
+  const name = 'claude-code';
+  if (exec) return { name, status: 'skip', detail: `--exec runs ${exec} instead` };
+  const found = findExecutable('claude');
+  if (found) return { name, status: 'pass', detail: found };
+  return {
+    name,
+    status: 'fail',
+    detail: 'claude is not on the PATH',
+    hint: 'Install it with `npm install -g @anthropic-ai/claude-code`, or run another client with --exec.'
+  };
+}
+
+// Send an Anthropic request through the proxy. Resolves with { status, body } for JSON
+// responses and { status, events } for streams.
+async function sendMessage(proxyUrl, token, body) {
+  const response = await fetch(`${proxyUrl}/v1/messages`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-api-key': token },
+    body: JSON.stringify({ model: 'claude-sonnet-4-20250514', max_tokens: 64, ...body }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  });
+  const text = await response.text();
+  if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Reported as an unexpected response below
+    }
+    return { status: response.status, body: parsed };
+  }
+  const events = text.split('\n')
+    .filter(line => line.startsWith('data:'))
+    .map(line => {
+      try {
+        return JSON.parse(line.slice(5));
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+  return { status: response.status, events };
+}
+
+// Turn an error reply, or a request that threw, into a failed check
+function failure(name, result, error) {
+  if (error) {
+    const detail = error.name === 'TimeoutError' ? `no response within ${REQUEST_TIMEOUT / 1000} seconds` : error.message;
+    return { name, status: 'fail', detail, hint: ERROR_HINTS.api_error };
+  }
+  const upstreamError = result.body?.error || result.events?.find(event => event.type === 'error')?.error;
+  if (upstreamError) {
+    return {
+      name,
+      status: 'fail',
+      detail: `${result.status} ${upstreamError.type}: ${upstreamError.message}`,
+      hint: ERROR_HINTS[upstreamError.type]
+    };
+  }
+  return { name, status: 'fail', detail: `unexpected response with status ${result.status}`, hint: ERROR_HINTS.api_error };
+}
+
+async function checkCompletion(proxyUrl, token) {
+  const name = 'Completion';
+  let result;
+  try {
+    result = await sendMessage(proxyUrl, token, { messages: [{ role: 'user', content: 'Reply with the word OK.' }] });
+  } catch (error) {
+    return failure(name, null, error);
+  }
+  if (result.status !== 200 || !result.body || result.body.type !== 'message') return failure(name, result);
+  const text = result.body.content.filter(block => block.type === 'text').map(block => block.text).join('').trim();
+  if (!text) {
+    return { name, status: 'fail', detail: 'the response has no text', hint: 'Check that the model id is a chat model.' };
+  }
+  return { name, status: 'pass', detail: `${result.body.model} replied ${JSON.stringify(text.slice(0, 40))}` };
+}
+
+async function checkStreaming(proxyUrl, token) {
+  const name = 'Streaming';
+  let result;
+  try {
+    result = await sendMessage(proxyUrl, token, {
+      stream: true,
+      messages: [{ role: 'user', content: 'Count from 1 to 5.' }]
+    });
+  } catch (error) {
+    return failure(name, null, error);
+  }
+  if (result.status !== 200 || !result.events) return failure(name, result);
+  if (result.events.some(event => event.type === 'error')) return failure(name, result);
+  const deltas = result.events.filter(event => event.type === 'content_block_delta').length;
+  const end = result.events.find(event => event.type === 'message_delta');
+  if (!end || !result.events.some(event => event.type === 'message_stop')) {
+    return { name, status: 'fail', detail: 'the stream ended early', hint: ERROR_HINTS.api_error };
+  }
+  return { name, status: 'pass', detail: `${deltas} deltas, stop reason ${end.delta.stop_reason}, ${end.usage.output_tokens} output tokens` };
+}
+
+async function checkToolCall(proxyUrl, token) {
+  const name = 'Tool calling';
+  let result;
+  try {
+    result = await sendMessage(proxyUrl, token, {
+      max_tokens: 256,
+      tools: [WEATHER_TOOL],
+      tool_choice: { type: 'tool', name: WEATHER_TOOL.name },
+      messages: [{ role: 'user', content: 'What is the weather in Paris?' }]
+    });
+  } catch (error) {
+    return failure(name, null, error);
+  }
+  if (result.status !== 200 || !result.body || result.body.type !== 'message') {
+    const failed = failure(name, result);
+    if (result.body?.error?.type === 'invalid_request_error') {
+      failed.hint = 'The provider rejected a forced tool call. claude-code needs tool calling: pick a model that supports it.';
+    }
+    return failed;
+  }
+  const call = result.body.content.find(block => block.type === 'tool_use');
+  if (!call) {
+    return {
+      name,
+      status: 'fail',
+      detail: 'the model answered without calling the tool',
+      hint: 'claude-code needs tool calling: pick a model that supports it.'
+    };
+  }
+  if (call.name !== WEATHER_TOOL.name || typeof call.input.city !== 'string') {
+    return {
+      name,
+      status: 'fail',
+      detail: `unexpected tool call ${call.name} ${JSON.stringify(call.input)}`,
+      hint: 'The model calls tools unreliably. Try --reask-tool-calls, or another model.'
+    };
+  }
+  return { name, status: 'pass', detail: `${call.name}(${JSON.stringify(call.input)})` };
+}
+
+// Check the profile's models against the provider's model list
+async function checkModels(profile, key) {
+  const name = 'Models';
+  const headers = { ...profile.headers };
+  if (profile.protocol === 'anthropic') {
+    headers['anthropic-version'] = '2023-06-01';
+    if (key && profile.authHeader === 'authorization') headers.Authorization = `Bearer ${key}`;
+    else if (key) headers['x-api-key'] = key;
+  } else if (key) {
+    headers.Authorization = `Bearer ${key}`;
+  }
+
+  let ids;
+  try {
+    const response = await fetch(`${profile.baseUrl}/v1/models`, { headers, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+    if (!response.ok) {
+      return { name, status: 'warn', detail: `the model list returned status ${response.status}; models not checked` };
+    }
+    const body = await response.json();
+    ids = (body.data || []).map(model => model.id);
+  } catch (error) {
+    return { name, status: 'warn', detail: `could not read the model list (${error.message}); models not checked` };
+  }
+
+  const models = [...new Set([profile.reasoningModel, profile.completionModel, ...Object.values(profile.modelMap || {})])];
+  const missing = models.filter(model => !ids.includes(model));
+  if (missing.length > 0) {
+    return {
+      name,
+      status: 'fail',
+      detail: `not offered by the provider: ${missing.join(', ')}`,
+      hint: `Fix reasoningModel, completionModel or modelMap. Available: ${ids.slice(0, 10).join(', ')}` +
+        (ids.length > 10 ? `, and ${ids.length - 10} more` : '')
+    };
+  }
+  return { name, status: 'pass', detail: models.join(', ') };
+}
+
+// Check a profile end to end: the key, claude-code, requests through the proxy and the
+// model ids. `onResult` is called with each check's result as it finishes. Resolves with
+// all results, each { name, status: 'pass' | 'fail' | 'warn' | 'skip', detail, hint }.
+async function runDoctor(profile, { apiKey, exec, onResult = () => {} } = {}) {
+  const results = [];
+  const report = (result) => {
+    const { key, ...shown } = result;
+    results.push(shown);
+    onResult(shown);
+    return result;
+  };
+
+  const keyResult = report(await checkApiKey(profile, apiKey));
+  report(checkClaude(exec));
+
+  const requestChecks = ['Completion', 'Streaming', 'Tool calling', 'Models'];
+  if (keyResult.status === 'fail') {
+    requestChecks.forEach(name => report({ name, status: 'skip', detail: 'needs an API key' }));
+    return results;
+  }
+
+  // Requests go through the proxy, the way claude-code's do
+  const token = crypto.randomBytes(16).toString('hex');
+  const server = await startProxyServer(0, {
+    name: profile.name,
+    key: keyResult.key,
+    baseUrl: profile.baseUrl,
+    protocol: profile.protocol,
+    authHeader: profile.authHeader,
+    reasoningModel: profile.reasoningModel,
+    completionModel: profile.completionModel,
+    maxTokens: profile.maxTokens,
+    unsupportedParams: profile.unsupportedParams,
+    contextWindow: profile.contextWindow,
+    tools: profile.tools,
+    headers: profile.headers,
+    // Report the first failure instead of retrying it
+    retries: 0,
+    host: '127.0.0.1',
+    authToken: token
+  });
+  const proxyUrl = `http://127.0.0.1:${server.port}`;
+
+  try {
+    report(await checkCompletion(proxyUrl, token));
+    report(await checkStreaming(proxyUrl, token));
+    report(await checkToolCall(proxyUrl, token));
+    report(await checkModels(profile, keyResult.key));
+  } finally {
+    await server.stop();
+  }
+  return results;
+}
+
+const STATUS_ICONS = { pass: '✅', fail: '❌', warn: '⚠️ ', skip: '⏭️ ' };
+
+// One line per check, and a hint under failed ones
+function formatResult(result) {
+  const line = `${STATUS_ICONS[result.status]} ${result.name.padEnd(13)} ${result.detail}`;
+  return result.hint && result.status !== 'pass' ? `${line}\n   → ${result.hint}` : line;
+}
+
+module.exports = {
+  findExecutable,
+  runDoctor,
+  formatResult
+};
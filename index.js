@@ -1,44 +1,236 @@
 #!/usr/bin/env node
 
+const crypto = require('crypto');
 const { spawn } = require('child_process');
-const { program } = require('commander');
-const keytar = require('keytar');
+const os = require('os');
+const path = require('path');
+const { program, InvalidArgumentError } = require('commander');
 const readline = require('readline');
 const { start: startProxyServer } = require('./proxy.js');
+const { CONFIG_DIR, CONFIG_FILE, loadConfig, resolveProfile, resolveFallback } = require('./config.js');
+const { resolveApiKey, storeApiKey, clearApiKey, credentialStatus, getStore } = require('./credentials.js');
+const { createUsageTracker, formatSessionSummary, saveSession, formatHistoryReport } = require('./usage.js');
+const { runDoctor, formatResult } = require('./doctor.js');
 
-const SERVICE_NAME = 'kimi-code';
-const ACCOUNT_NAME = 'groq-api-key';
+// Collect repeated --model-map <pattern>=<model> options into an ordered map
+function collectModelMap(value, previous = {}) {
+  const separator = value.lastIndexOf('=');
+  if (separator <= 0 || separator === value.length - 1) {
+    throw new InvalidArgumentError('Expected <pattern>=<model>.');
+  }
+  return { ...previous, [value.slice(0, separator)]: value.slice(separator + 1) };
+}
+
+// Collect repeated options into a list
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+// --port takes a number, or "auto" to let the system pick a free port
+function parsePort(value) {
+  if (value === 'auto') return 0;
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new InvalidArgumentError('Expected a port number or "auto".');
+  }
+  return port;
+}
+
+const LOG_LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace'];
+
+function parseLogLevel(value) {
+  if (!LOG_LEVELS.includes(value)) {
+    throw new InvalidArgumentError(`Expected one of ${LOG_LEVELS.join(', ')}.`);
+  }
+  return value;
+}
+
+function parseCount(value) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new InvalidArgumentError('Expected a non-negative integer.');
+  }
+  return count;
+}
+
+// Everything after `--` is for claude-code (or the --exec command), even words that name
+// one of kimi's own commands, so commander only sees what comes before it
+const separator = process.argv.indexOf('--', 2);
+const passThroughArgs = separator === -1 ? [] : process.argv.slice(separator + 1);
 
 program
   .name('kimi')
   .description('Start anthropic-proxy with Kimi model and run claude-code')
-  .option('-k, --api-key <key>', 'Groq API key (will be stored in keychain)')
-  .option('-p, --port <port>', 'Port for the proxy server', '3000')
-  .option('--base-url <url>', 'Base URL for the API endpoint', 'https://api.groq.com/openai')
-  .option('--reasoning-model <model>', 'Reasoning model to use', 'moonshotai/kimi-k2-instruct')
-  .option('--completion-model <model>', 'Completion model to use', 'moonshotai/kimi-k2-instruct')
-  .option('--debug', 'Enable debug logging')
+  .argument('[args...]', 'Arguments for claude-code (or the --exec command), after --')
+  .option('--profile <name>', 'Provider profile from the config file (default: groq)')
+  .option('-k, --api-key <key>', 'API key for the profile (will be stored for future runs)')
+  .option('-p, --port <port>', 'Port for the proxy server, or "auto" for a free one', parsePort, 3000)
+  .option('--host <address>', 'Address to listen on; anything but 127.0.0.1 exposes the proxy to other machines', '127.0.0.1')
+  .option('--base-url <url>', 'Base URL for the API endpoint (overrides the profile)')
+  .option('--reasoning-model <model>', 'Reasoning model to use (overrides the profile)')
+  .option('--completion-model <model>', 'Completion model to use (overrides the profile)')
+  .option('--model-map <pattern=model>', 'Send requests for matching Claude models to another upstream model (repeatable)', collectModelMap)
+  .option('--fallback <profile>', 'Profile to fail over to when the upstream keeps failing (repeatable)', collect)
+  .option('--retries <count>', 'Retries per upstream for rate limits and server errors (default: 2)', parseCount)
+  .option('--token-counter <counter>', 'Token counting for count_tokens: local, moonshot or vllm')
+  .option('--record <file>', 'Record requests and upstream responses to a JSONL file (keys redacted)')
+  .option('--replay <file>', 'Serve upstream responses from a recorded JSONL file instead of the network')
+  .option('--vision', 'Treat the model as accepting image input')
+  .option('--trim-tool-results', 'Replace old tool results with a placeholder when the prompt exceeds the context window')
+  .option('--reask-tool-calls', 'Ask the model once more when tool call arguments do not match the tool schema')
+  .option('--log-level <level>', `Log level for the proxy: ${LOG_LEVELS.join(', ')} (default: info with --log-file)`, parseLogLevel)
+  .option('--log-file <path>', 'Write the proxy log to a file as JSON lines')
+  .option('--transcript-dir <dir>', 'Write full request and response bodies to a directory, one file per request')
+  .option('--debug', 'Same as --log-level debug')
+  .option('--metrics', 'Serve Prometheus metrics on /metrics')
+  .option('--exec <command>', 'Run another Anthropic API client instead of claude-code')
   .option('--reset-key', 'Reset the stored API key')
-  .parse();
+  .action(withOptions(main));
+
+program
+  .command('serve')
+  .description('Run only the proxy, for other Anthropic API clients and editors')
+  .action(withOptions(serve));
+
+program
+  .command('doctor')
+  .description('Check the API key, claude-code and the provider: completions, streaming, tool calls and models')
+  .action(withOptions(doctor));
+
+const auth = program
+  .command('auth')
+  .description('Manage the API key for a profile');
 
-const options = program.opts();
+auth
+  .command('status')
+  .description('Show which credential backend supplies the API key')
+  .action(withOptions(authStatus));
 
+auth
+  .command('set [key]')
+  .description('Store an API key (prompts when no key is given)')
+  .action(withOptions(authSet));
+
+auth
+  .command('clear')
+  .description('Remove the stored API key')
+  .action(withOptions(authClear));
+
+program
+  .command('usage')
+  .description('Show token usage and cost by day, model and profile')
+  .option('--days <count>', 'Only include sessions from the last <count> days', parseCount, 30)
+  .action(withOptions(showUsage));
+
+// Global options, read when a command runs
+let options = {};
+
+// Active provider profile with command line overrides applied, resolved in main()
+let profile = null;
 let claudeProcess = null;
+// The running proxy and the port it listens on, known once it has started
+let proxyServer = null;
+let proxyPort = null;
+// True for `kimi serve`, which has the terminal to itself
+let serving = false;
+// Key clients use for the proxy, new for every session unless KIMI_PROXY_TOKEN sets one.
+// The proxy uses the profile's key upstream.
+const sessionToken = process.env.KIMI_PROXY_TOKEN || `sk-kimi-${crypto.randomBytes(24).toString('hex')}`;
 
-// Function to cleanup processes
-function cleanup() {
+// Function to get the URL clients reach the proxy at
+function proxyUrl() {
+  const host = ['0.0.0.0', '::'].includes(options.host) ? '127.0.0.1' : options.host;
+  return `http://${host.includes(':') ? `[${host}]` : host}:${proxyPort}`;
+}
+// Token and cost totals for this session, filled in by the proxy
+let usageTracker = null;
+
+// Function to print and save the session's usage
+function reportUsage() {
+  if (!usageTracker) return;
+  const summary = usageTracker.summary();
+  if (summary.entries.length === 0) return;
+
+  console.log('\n📊 Session usage');
+  console.log(formatSessionSummary(summary));
+
+  try {
+    saveSession(summary);
+  } catch (error) {
+    console.error('Failed to save usage history:', error.message);
+  }
+}
+
+// How long requests in flight get to finish when kimi exits
+const STOP_TIMEOUT = 5000;
+let shuttingDown = false;
+
+// Function to cleanup processes and exit with `code`. Called again while shutting down
+// (a second Ctrl+C), it exits right away.
+async function cleanup(code = 0) {
+  if (shuttingDown) process.exit(code);
+  shuttingDown = true;
   console.log('\nShutting down...');
   
-  if (claudeProcess) {
+  if (claudeProcess && claudeProcess.exitCode === null) {
     claudeProcess.kill('SIGTERM');
   }
+
+  // Let requests in flight finish, for a while
+  if (proxyServer) {
+    try {
+      await proxyServer.stop({ timeout: STOP_TIMEOUT });
+    } catch (error) {
+      console.error('Failed to stop proxy:', error.message);
+    }
+  }
   
-  process.exit(0);
+  reportUsage();
+  process.exit(code);
 }
 
-// Handle process termination
-process.on('SIGINT', cleanup);
-process.on('SIGTERM', cleanup);
+// Handle process termination. While a client runs, Ctrl+C is for the client (it gets
+// the signal from the terminal too), and kimi exits when the client does.
+process.on('SIGINT', () => {
+  if (!claudeProcess || shuttingDown) cleanup(130);
+});
+process.on('SIGTERM', () => {
+  if (claudeProcess && !shuttingDown) {
+    claudeProcess.kill('SIGTERM');
+  } else {
+    cleanup(143);
+  }
+});
+
+// Function to resolve the profile and apply command line overrides
+function resolveSettings() {
+  const resolved = resolveProfile(options.profile);
+  const overrides = {
+    baseUrl: options.baseUrl,
+    reasoningModel: options.reasoningModel,
+    completionModel: options.completionModel,
+    tokenCounter: options.tokenCounter,
+    reaskToolCalls: options.reaskToolCalls,
+    trimToolResults: options.trimToolResults
+  };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) resolved[key] = value;
+  }
+
+  // Command line mappings are checked before the profile's
+  const modelMap = { ...options.modelMap };
+  for (const [pattern, model] of Object.entries(resolved.modelMap || {})) {
+    if (!(pattern in modelMap)) modelMap[pattern] = model;
+  }
+  resolved.modelMap = modelMap;
+
+  // Command line fallbacks are tried before the profile's
+  resolved.fallbacks = [...(options.fallback || []), ...(resolved.fallbacks || [])]
+    .map(entry => resolveFallback(entry));
+
+  return resolved;
+}
 
 // Function to prompt for API key
 function promptForApiKey() {
@@ -48,51 +240,56 @@ function promptForApiKey() {
       output: process.stdout
     });
     
-    rl.question('Enter your Groq API key: ', (answer) => {
+    rl.question(`Enter your ${profile.label} API key: `, (answer) => {
       rl.close();
       resolve(answer.trim());
     });
   });
 }
 
-// Function to get API key from keychain or prompt
+// Function to store a key, reporting where it went
+async function saveApiKey(key, successMessage) {
+  try {
+    const backend = await storeApiKey(profile, key);
+    console.log(`${successMessage} (${backend}).`);
+    return true;
+  } catch (error) {
+    console.error('Failed to store API key:', error.message);
+    return false;
+  }
+}
+
+// Function to get API key from the credential backends or prompt
 async function getApiKey() {
+  // Some providers (e.g. local servers) don't need a key at all
+  if (profile.credential === false) {
+    return options.apiKey;
+  }
+
   // If reset-key flag is used, delete the stored key
   if (options.resetKey) {
-    try {
-      await keytar.deletePassword(SERVICE_NAME, ACCOUNT_NAME);
-      console.log('Stored API key has been reset.');
-    } catch (error) {
-      // Ignore error if key doesn't exist
-    }
+    await clearApiKey(profile);
+    console.log('Stored API key has been reset.');
   }
   
   // Check if API key is provided via command line
   if (options.apiKey) {
-    try {
-      await keytar.setPassword(SERVICE_NAME, ACCOUNT_NAME, options.apiKey);
-      console.log('API key stored in keychain.');
-      return options.apiKey;
-    } catch (error) {
-      console.error('Failed to store API key in keychain:', error.message);
-      return options.apiKey;
-    }
+    await saveApiKey(options.apiKey, 'API key stored');
+    return options.apiKey;
   }
   
-  // Try to get API key from keychain
-  try {
-    const storedKey = await keytar.getPassword(SERVICE_NAME, ACCOUNT_NAME);
-    if (storedKey) {
-      console.log('Using stored API key from keychain.');
-      return storedKey;
-    }
-  } catch (error) {
-    console.error('Failed to retrieve API key from keychain:', error.message);
+  // Try the environment, apiKeyHelper, keychain and credentials file in turn
+  const resolved = await resolveApiKey(profile, { primary: true });
+  if (resolved) {
+    console.log(`Using API key from ${resolved.source}.`);
+    return resolved.key;
   }
   
   // Prompt for API key if not found
-  console.log('No API key found. Please enter your Groq API key.');
-  console.log('You can get one from: https://console.groq.com/keys');
+  console.log(`No API key found. Please enter your ${profile.label} API key.`);
+  if (profile.keyUrl) {
+    console.log(`You can get one from: ${profile.keyUrl}`);
+  }
   const newKey = await promptForApiKey();
   
   if (!newKey) {
@@ -100,84 +297,322 @@ async function getApiKey() {
     process.exit(1);
   }
   
-  // Store the new key in keychain
-  try {
-    await keytar.setPassword(SERVICE_NAME, ACCOUNT_NAME, newKey);
-    console.log('API key stored in keychain for future use.');
-  } catch (error) {
-    console.error('Failed to store API key in keychain:', error.message);
+  // Store the new key for next time
+  if (!(await saveApiKey(newKey, 'API key stored for future use'))) {
     console.log('Continuing with session-only API key...');
   }
   
   return newKey;
 }
 
+// Function to look up the keys for fallback upstreams. Fallbacks never prompt for a key;
+// ones without one are skipped.
+async function getFallbacks() {
+  const fallbacks = [];
+
+  for (const fallback of profile.fallbacks) {
+    let key;
+    if (fallback.credential !== false) {
+      const resolved = await resolveApiKey(fallback);
+      if (!resolved) {
+        console.log(`Skipping fallback ${fallback.name}: no API key found. Run \`kimi auth set --profile ${fallback.name}\` to add one.`);
+        continue;
+      }
+      key = resolved.key;
+    }
+
+    fallbacks.push({
+      name: fallback.name,
+      key,
+      baseUrl: fallback.baseUrl,
+      protocol: fallback.protocol,
+      authHeader: fallback.authHeader,
+      reasoningModel: fallback.reasoningModel,
+      completionModel: fallback.completionModel,
+      modelMap: fallback.modelMap,
+      maxTokens: fallback.maxTokens,
+      unsupportedParams: fallback.unsupportedParams,
+      contextWindow: fallback.contextWindow,
+      tools: fallback.tools,
+      headers: fallback.headers
+    });
+  }
+
+  return fallbacks;
+}
+
+// Where the proxy logs to and at which level. Logging is off unless asked for. While
+// claude-code runs, logs go to a file so they can't draw over its terminal; `kimi serve`
+// logs to stdout unless given a file.
+function logSettings() {
+  const logLevel = options.logLevel || (options.debug ? 'debug' : options.logFile ? 'info' : undefined);
+  if (!logLevel) return {};
+  let logFile = options.logFile;
+  if (!logFile && !serving) {
+    logFile = path.join(CONFIG_DIR, 'logs', 'proxy.log');
+    console.log(`📝 Logging to ${logFile}`);
+  }
+  return { logLevel, logFile };
+}
+
 async function startProxy(apiKey) {
   console.log('Starting proxy server with Kimi model...');
   
   const proxyOptions = {
+    name: profile.name,
     key: apiKey,
-    baseUrl: options.baseUrl,
-    reasoningModel: options.reasoningModel,
-    completionModel: options.completionModel,
-    debug: options.debug
+    baseUrl: profile.baseUrl,
+    protocol: profile.protocol,
+    authHeader: profile.authHeader,
+    reasoningModel: profile.reasoningModel,
+    completionModel: profile.completionModel,
+    modelMap: profile.modelMap,
+    maxTokens: profile.maxTokens,
+    unsupportedParams: profile.unsupportedParams,
+    contextWindow: profile.contextWindow,
+    tools: profile.tools,
+    headers: profile.headers,
+    fallbacks: await getFallbacks(),
+    retries: options.retries,
+    vision: options.vision,
+    reaskToolCalls: profile.reaskToolCalls,
+    trimToolResults: profile.trimToolResults,
+    tokenCounter: profile.tokenCounter,
+    usage: usageTracker,
+    record: options.record,
+    replay: options.replay,
+    host: options.host,
+    authToken: sessionToken,
+    transcriptDir: options.transcriptDir,
+    metrics: options.metrics,
+    ...logSettings()
   };
+
+  if (!['127.0.0.1', '::1', 'localhost'].includes(options.host)) {
+    console.log(`⚠️  Listening on ${options.host}: other machines that can reach this address can use the proxy with the session token.`);
+  }
   
   try {
     // Start the proxy server directly
-    await startProxyServer(options.port, proxyOptions);
+    proxyServer = await startProxyServer(options.port, proxyOptions);
+    proxyPort = proxyServer.port;
   } catch (error) {
     console.error('Failed to start proxy:', error);
     throw error;
   }
 }
 
-async function startClaude() {
-  console.log('Starting claude-code...');
+// Function to wait until the proxy answers its health check
+async function waitForProxy(timeout = 10000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    try {
+      const response = await fetch(`${proxyUrl()}/healthz`);
+      if (response.ok) return;
+    } catch (error) {
+      // Not accepting connections yet
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Proxy did not become healthy within ${timeout / 1000} seconds`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+// Quote an argument for the shell that runs --exec commands
+function shellQuote(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+// Start claude-code, or the --exec command, against the proxy with `args`
+async function startClaude(args) {
+  const name = options.exec || 'claude-code';
+  console.log(`Starting ${name}...`);
   
+  // The token goes in ANTHROPIC_AUTH_TOKEN (sent as a Bearer token): claude-code asks
+  // the user to approve every new ANTHROPIC_API_KEY, and this one is new every session.
+  // A real Anthropic key from the environment would be sent instead, so it's left out.
   const claudeEnv = {
     ...process.env,
-    ANTHROPIC_BASE_URL: `http://localhost:${options.port}`,
-    ANTHROPIC_API_KEY: 'sk-ant-api03-demo'
+    ANTHROPIC_BASE_URL: proxyUrl(),
+    ANTHROPIC_AUTH_TOKEN: sessionToken
   };
+  delete claudeEnv.ANTHROPIC_API_KEY;
   
-  claudeProcess = spawn('claude', [], {
-    env: claudeEnv,
-    stdio: 'inherit'
-  });
+  claudeProcess = options.exec
+    ? spawn([options.exec, ...args.map(shellQuote)].join(' '), { env: claudeEnv, stdio: 'inherit', shell: true })
+    : spawn('claude', args, { env: claudeEnv, stdio: 'inherit' });
   
   claudeProcess.on('error', (error) => {
-    console.error('Failed to start claude-code:', error);
-    console.error('Make sure claude-code is installed and available in your PATH');
-    cleanup();
+    console.error(`Failed to start ${name}:`, error);
+    if (!options.exec) {
+      console.error('Make sure claude-code is installed and available in your PATH');
+    }
+    claudeProcess = null;
+    cleanup(1);
   });
   
-  claudeProcess.on('exit', (code) => {
-    console.log(`Claude-code exited with code ${code}`);
-    cleanup();
+  claudeProcess.on('exit', (code, signal) => {
+    console.log(`${name} exited with ${signal ? `signal ${signal}` : `code ${code}`}`);
+    // Exit the way a shell reports a child killed by a signal
+    cleanup(signal ? 128 + (os.constants.signals[signal] || 0) : code);
   });
 }
 
-async function main() {
+async function main(args) {
   try {
     console.log('🚀 Kimi Code CLI');
     console.log('================');
     
-    const apiKey = await getApiKey();
+    profile = resolveSettings();
+    console.log(`🔧 Profile: ${profile.name}`);
+    usageTracker = createUsageTracker({ prices: loadConfig().prices });
+    
+    // Replays never reach the provider, so there's no key to look up
+    const apiKey = options.replay ? undefined : await getApiKey();
     
     await startProxy(apiKey);
-    console.log(`✅ Proxy started on port ${options.port}`);
-    console.log(`🤖 Using model: ${options.reasoningModel}`);
-    console.log(`🔗 Base URL: ${options.baseUrl}`);
+    console.log(`✅ Proxy started on port ${proxyPort}`);
+    console.log(`🤖 Using model: ${profile.reasoningModel}`);
+    console.log(`🔗 Base URL: ${profile.baseUrl}`);
     
-    // Wait a moment for the proxy to be fully ready
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    await waitForProxy();
     
-    await startClaude();
+    await startClaude([...args, ...passThroughArgs]);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    cleanup(1);
+  }
+}
+
+// Run the proxy in the foreground until Ctrl+C or SIGTERM
+async function serve() {
+  serving = true;
+  try {
+    profile = resolveSettings();
+    console.log(`🔧 Profile: ${profile.name}`);
+    usageTracker = createUsageTracker({ prices: loadConfig().prices });
+
+    const apiKey = options.replay ? undefined : await getApiKey();
+    await startProxy(apiKey);
+    await waitForProxy();
+
+    console.log(`✅ Proxy listening on ${proxyUrl()}`);
+    console.log(`🤖 Using model: ${profile.reasoningModel}`);
+    console.log('');
+    console.log('Point Anthropic API clients at it with:');
+    console.log(`  export ANTHROPIC_BASE_URL=${proxyUrl()}`);
+    console.log(`  export ANTHROPIC_AUTH_TOKEN=${sessionToken}`);
+    console.log('');
+    console.log('Press Ctrl+C to stop.');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    cleanup(1);
+  }
+}
+
+async function doctor() {
+  try {
+    profile = resolveSettings();
+    console.log(`🩺 Checking profile ${profile.name} (${profile.baseUrl})`);
+    console.log('');
+
+    const results = await runDoctor(profile, {
+      apiKey: options.apiKey,
+      exec: options.exec,
+      onResult: result => console.log(formatResult(result))
+    });
+
+    const failed = results.filter(result => result.status === 'fail').length;
+    console.log('');
+    console.log(failed === 0 ? 'All checks passed.' : `${failed} check${failed === 1 ? '' : 's'} failed.`);
+    process.exit(failed === 0 ? 0 : 1);
+  } catch (error) {
+    // A profile that can't be resolved, or a proxy that won't start with it
+    console.log(formatResult(profile ? {
+      name: 'Proxy',
+      status: 'fail',
+      detail: error.message,
+      hint: `Check the settings of profile ${profile.name} in ${CONFIG_FILE}.`
+    } : {
+      name: 'Profile',
+      status: 'fail',
+      detail: error.message,
+      hint: `Check the --profile name and ${CONFIG_FILE}.`
+    }));
+    console.log('');
+    console.log('1 check failed.');
+    process.exit(1);
+  }
+}
+
+function showUsage(commandOptions) {
+  console.log(formatHistoryReport({ days: commandOptions.days }));
+}
+
+// Wrap a command handler so it sees the parsed global options
+function withOptions(handler) {
+  return (...args) => {
+    options = program.opts();
+    return handler(...args);
+  };
+}
+
+async function authStatus() {
+  try {
+    profile = resolveSettings();
+    console.log(`Profile: ${profile.name}`);
+
+    if (profile.credential === false) {
+      console.log('This profile does not use an API key.');
+      return;
+    }
+
+    const resolved = await resolveApiKey(profile, { primary: true });
+    console.log(`Active key: ${resolved ? resolved.source : 'none (kimi will prompt for one)'}`);
+    console.log(`New keys are stored in: ${(await getStore(profile)).name}`);
+    console.log('');
+
+    for (const status of await credentialStatus(profile, { primary: true })) {
+      const state = status.hasKey ? 'has key' : status.available ? 'no key' : 'unavailable';
+      console.log(`  ${status.backend.padEnd(9)} ${state.padEnd(12)} ${status.detail}`);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+async function authSet(key) {
+  try {
+    profile = resolveSettings();
+    const newKey = key || await promptForApiKey();
+    if (!newKey) {
+      console.error('No API key given.');
+      process.exit(1);
+    }
+    if (!(await saveApiKey(newKey, `API key for profile ${profile.name} stored`))) {
+      process.exit(1);
+    }
   } catch (error) {
     console.error('❌ Error:', error.message);
-    cleanup();
+    process.exit(1);
+  }
+}
+
+async function authClear() {
+  try {
+    profile = resolveSettings();
+    const cleared = await clearApiKey(profile);
+    if (cleared.length === 0) {
+      console.log(`No stored API key for profile ${profile.name}.`);
+    } else {
+      console.log(`Removed API key for profile ${profile.name} from ${cleared.join(' and ')}.`);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
   }
 }
 
-main();
+program.parse(separator === -1 ? process.argv : process.argv.slice(0, separator));
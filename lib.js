@@ -0,0 +1,9 @@
+// The package's library entry point: the Anthropic ↔ OpenAI translation and the proxy
+// server, without the CLI (index.js, installed as `kimi`)
+const translate = require('./translate.js')
+const { start } = require('./proxy.js')
+
+module.exports = {
+  ...translate,
+  start,
+}
@@ -0,0 +1,55 @@
+// Log and transcript output for the proxy.
+//
+// Logs are JSON lines written by Fastify's logger (pino). Both logs and transcripts go
+// to files so nothing is written to the terminal claude-code draws on, and every value
+// in `secrets` (API keys, the session token) is replaced before anything is written.
+
+const fs = require('fs')
+const path = require('path')
+
+const REDACTED = '[REDACTED]'
+
+function redactSecrets(text, secrets) {
+  return secrets.filter(Boolean).reduce((result, secret) => result.split(secret).join(REDACTED), text)
+}
+
+// A destination for pino: appends to `file`, or writes to stdout without one. Writes are
+// synchronous so the last lines aren't lost when kimi exits.
+function createLogStream(file, { secrets = [] } = {}) {
+  let fd = 1
+  if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fd = fs.openSync(file, 'a', 0o600)
+  }
+  return {
+    write(line) {
+      fs.writeSync(fd, redactSecrets(line, secrets))
+    }
+  }
+}
+
+// Write one JSON file per request to `dir`, keeping the newest `limit` files.
+function createTranscriptWriter(dir, { limit = 100, secrets = [] } = {}) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 })
+
+  const rotate = () => {
+    const files = fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()
+    files.slice(0, Math.max(0, files.length - limit)).forEach(name => {
+      fs.rmSync(path.join(dir, name), { force: true })
+    })
+  }
+
+  return {
+    write(id, entry) {
+      const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.json`
+      fs.writeFileSync(path.join(dir, name), redactSecrets(JSON.stringify(entry, null, 2), secrets) + '\n', { mode: 0o600 })
+      rotate()
+    }
+  }
+}
+
+module.exports = {
+  REDACTED,
+  createLogStream,
+  createTranscriptWriter,
+}
@@ -0,0 +1,110 @@
+// Prometheus metrics for the proxy, served in the text exposition format on /metrics
+// when the proxy is started with `metrics: true`.
+
+// Seconds; upstream latency and time to first token
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120]
+const TOKEN_RATE_BUCKETS = [5, 10, 20, 50, 100, 200, 500, 1000]
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels)
+  if (entries.length === 0) return ''
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+}
+
+// Pick `labelNames` out of `labels`, in order, so equal label sets share a series
+function seriesLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] !== undefined ? labels[name] : '']))
+}
+
+function createCounter(name, help, labelNames = []) {
+  const series = new Map()
+  return {
+    inc(labels = {}, value = 1) {
+      const key = JSON.stringify(seriesLabels(labelNames, labels))
+      series.set(key, (series.get(key) || 0) + value)
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`]
+      for (const [key, value] of series) lines.push(`${name}${formatLabels(JSON.parse(key))} ${value}`)
+      return lines.join('\n') + '\n'
+    },
+  }
+}
+
+function createHistogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+  const series = new Map()
+  return {
+    observe(labels, value) {
+      const key = JSON.stringify(seriesLabels(labelNames, labels))
+      if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 })
+      const entry = series.get(key)
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++
+      })
+      entry.sum += value
+      entry.count++
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`]
+      for (const [key, entry] of series) {
+        const labels = JSON.parse(key)
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[index]}`)
+        })
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`)
+        lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`)
+        lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`)
+      }
+      return lines.join('\n') + '\n'
+    },
+  }
+}
+
+// The proxy's metrics. `render()` returns all of them for a scrape.
+function createMetrics() {
+  const metrics = {
+    requests: createCounter('kimi_proxy_requests_total',
+      'Messages requests by upstream model, response status and streaming', ['model', 'status', 'stream']),
+    upstreamLatency: createHistogram('kimi_proxy_upstream_latency_seconds',
+      'Time until an upstream sent response headers', ['upstream']),
+    timeToFirstToken: createHistogram('kimi_proxy_time_to_first_token_seconds',
+      'Time from the request to the first streamed content', ['model']),
+    outputTokensPerSecond: createHistogram('kimi_proxy_output_tokens_per_second',
+      'Output tokens per second of generation', ['model'], TOKEN_RATE_BUCKETS),
+    retries: createCounter('kimi_proxy_upstream_retries_total',
+      'Upstream requests retried after a failure', ['upstream']),
+    clientDisconnects: createCounter('kimi_proxy_client_disconnects_total',
+      'Clients that closed the connection before the response was complete'),
+    malformedChunks: createCounter('kimi_proxy_malformed_chunks_total',
+      'Stream chunks skipped because they were not valid JSON', ['upstream']),
+  }
+
+  return {
+    ...metrics,
+    // Record a finished messages request from its outcome (see proxy.js)
+    observeRequest({ outcome, status, latencyMs, disconnected }) {
+      const model = outcome.model || 'unknown'
+      metrics.requests.inc({ model, status, stream: outcome.stream ? 'true' : 'false' })
+      if (disconnected) metrics.clientDisconnects.inc()
+      if (outcome.firstTokenMs !== undefined) {
+        metrics.timeToFirstToken.observe({ model }, outcome.firstTokenMs / 1000)
+      }
+      // Streams generate from the first token on; other responses for the whole request
+      const generationMs = latencyMs - (outcome.firstTokenMs || 0)
+      if (outcome.outputTokens > 0 && generationMs > 0) {
+        metrics.outputTokensPerSecond.observe({ model }, outcome.outputTokens / (generationMs / 1000))
+      }
+    },
+    render() {
+      return Object.values(metrics).map(metric => metric.render()).join('')
+    },
+  }
+}
+
+module.exports = {
+  createMetrics,
+}
@@ -1,14 +1,38 @@
 // Adapted from https://github.com/maxnowack/anthropic-proxy/blob/main/index.js
 
+const crypto = require('crypto')
 const Fastify = require('fastify')
 const { TextDecoder } = require('util')
+const { estimateTextTokens, estimateTokens, countTokensUpstream } = require('./tokens.js')
+const { createRecorder, createReplayer } = require('./recorder.js')
+const { readUsage, readAnthropicUsage } = require('./usage.js')
+const { checkToolArguments } = require('./toolargs.js')
+const { createToolPipeline } = require('./tools.js')
+const { REDACTED, createLogStream, createTranscriptWriter } = require('./logging.js')
+const { createMetrics } = require('./metrics.js')
+const {
+  buildMessages,
+  buildTools,
+  toOpenAIRequest,
+  toAnthropicResponse,
+  createStreamParser,
+  createStreamTranslator,
+  toAnthropicStream,
+  formatSSE,
+  anthropicError,
+  ERROR_STATUS,
+  mapUpstreamError,
+} = require('./translate.js')
+const {
+  toResponsesRequest,
+  fromResponsesResponse,
+  createResponsesStreamTranslator,
+  responsesStreamError,
+} = require('./responses.js')
 
-let config = {}
-let fastify = null
-
-function debug(...args) {
-  if (!config.debug) return
-  console.log(...args)
+// Log at debug level to `log`, a request's or server's logger
+function debug(log, message, ...details) {
+  log.debug(details.length > 0 ? { details } : {}, message)
 }
 
 // Helper function to send SSE events and flush immediately.
@@ -19,55 +43,600 @@ const sendSSE = (reply, event, data) => {
   }
   
   try {
-    const sseMessage = `event: ${event}\n` +
-                       `data: ${JSON.stringify(data)}\n\n`
-    reply.raw.write(sseMessage)
+    reply.raw.write(formatSSE(event, data))
     // Flush if the flush method is available.
     if (typeof reply.raw.flush === 'function') {
       reply.raw.flush()
     }
     return true
   } catch (error) {
-    console.error('Error sending SSE:', error.message)
+    reply.log.warn({ err: error }, 'Error sending SSE')
     return false
   }
 }
 
-function mapStopReason(finishReason) {
-  switch (finishReason) {
-    case 'tool_calls': return 'tool_use'
-    case 'stop': return 'end_turn'
-    case 'length': return 'max_tokens'
-    default: return 'end_turn'
+// Model ids that accept image input. Used when `options.vision` isn't set explicitly.
+const VISION_MODEL_PATTERNS = [
+  /vision/i,
+  /[-_]vl\b/i,
+  /llama-4/i,
+  /gpt-4o/i,
+  /gpt-4\.1/i,
+  /gemini/i,
+  /pixtral/i,
+  /kimi-latest/i,
+]
+
+function supportsVision(config, model) {
+  if (typeof config.vision === 'boolean') return config.vision
+  return VISION_MODEL_PATTERNS.some(pattern => pattern.test(model))
+}
+
+// Report an error on a stream that has already started, then close it.
+function sendStreamError(reply, body) {
+  sendSSE(reply, 'error', body)
+  try {
+    reply.raw.end()
+  } catch (error) {
+    // Ignore error if already closed
   }
 }
 
-const start = async (port = 3000, options = {}) => {
-  // Initialize config with passed options
-  config = {
+// Check the key a client sent (x-api-key, or a Bearer token) against the proxy's token.
+function hasValidToken(request, token) {
+  const sent = request.headers['x-api-key'] || (request.headers.authorization || '').replace(/^Bearer\s+/i, '')
+  const given = Buffer.from(String(sent))
+  const expected = Buffer.from(token)
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+}
+
+// Turn a model map pattern into a RegExp. Patterns are globs (`*`, `?`, case-insensitive)
+// or regular expressions written as `/source/flags`.
+function patternToRegExp(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/)
+  if (regex) return new RegExp(regex[1], regex[2])
+  const escape = text => text.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+  const source = pattern.split('*').map(part => part.split('?').map(escape).join('.')).join('.*')
+  return new RegExp(`^${source}$`, 'i')
+}
+
+// Compile { pattern: upstreamModel } into an ordered list of matchers.
+function compileModelMap(modelMap = {}) {
+  return Object.entries(modelMap).map(([pattern, model]) => ({
+    pattern,
+    regex: patternToRegExp(pattern),
+    model,
+  }))
+}
+
+// Pick the upstream model for a request. The requested Anthropic model is matched
+// against the model map first; unmapped requests use the reasoning or completion model.
+function selectModel(payload, upstream, log) {
+  if (payload.model) {
+    const entry = upstream.modelMap.find(({ regex }) => regex.test(payload.model))
+    if (entry) {
+      if (log) debug(log, `Mapped model ${payload.model} to ${entry.model} (${entry.pattern})`)
+      return entry.model
+    }
+  }
+  return payload.thinking ? upstream.models.reasoning : upstream.models.completion
+}
+
+// Output token limits of known upstream models. The upstream's `maxTokens` caps
+// every model, including ones not listed here.
+const MODEL_OUTPUT_LIMITS = {
+  'moonshotai/kimi-k2-instruct': 16384,
+  'moonshotai/kimi-k2-instruct-0905': 16384,
+  'kimi-k2-0711-preview': 32768,
+  'kimi-k2-0905-preview': 32768,
+  'kimi-k2-turbo-preview': 32768,
+}
+
+function maxOutputTokens(upstream, model) {
+  return Math.min(MODEL_OUTPUT_LIMITS[model] || Infinity, upstream.maxTokens)
+}
+
+// Context windows of known upstream models, in tokens. A profile's `contextWindow`
+// overrides them, either for all its models or as { model: tokens }.
+const MODEL_CONTEXT_WINDOWS = {
+  'moonshotai/kimi-k2-instruct': 131072,
+  'moonshotai/kimi-k2-instruct-0905': 262144,
+  'moonshotai/Kimi-K2-Instruct': 131072,
+  'moonshotai/kimi-k2': 131072,
+  'kimi-k2-0711-preview': 131072,
+  'kimi-k2-0905-preview': 262144,
+  'kimi-k2-turbo-preview': 262144,
+}
+
+function contextWindow(upstream, model) {
+  const configured = upstream.contextWindow
+  if (typeof configured === 'number') return configured
+  return (configured && configured[model]) || MODEL_CONTEXT_WINDOWS[model] || null
+}
+
+const TRIMMED_TOOL_RESULT = '[Old tool result removed to fit the context window]'
+
+// Replace the oldest tool results with a placeholder until the estimated prompt fits
+// `budget`. Results after the last assistant message are kept, since the model is about
+// to act on them. Returns the new messages and their estimated size.
+function trimToolResults(messages, tools, model, budget) {
+  const result = [...messages]
+  const lastAssistant = result.map(message => message.role).lastIndexOf('assistant')
+  const placeholderTokens = estimateTextTokens(TRIMMED_TOOL_RESULT, model)
+  let tokens = estimateTokens({ messages: result, tools }, model)
+  for (let i = 0; i < lastAssistant && tokens > budget; i++) {
+    if (result[i].role !== 'tool' || result[i].content === TRIMMED_TOOL_RESULT) continue
+    tokens -= estimateTextTokens(result[i].content, model) - placeholderTokens
+    result[i] = { ...result[i], content: TRIMMED_TOOL_RESULT }
+  }
+  return { messages: result, tokens }
+}
+
+// The OpenAI tools an upstream gets, after its deny list and tool pipeline
+function upstreamTools(payload, upstream) {
+  return buildTools(payload, { deny: upstream.denyTools, pipeline: upstream.toolPipeline })
+}
+
+// Remove parameters the upstream is known to reject.
+function dropUnsupportedParams(body, upstream, log) {
+  upstream.unsupportedParams.forEach(param => {
+    if (body[param] === undefined) return
+    debug(log, `Dropping ${param}, not supported by upstream ${upstream.name}`)
+    delete body[param]
+  })
+  return body
+}
+
+// Sent to Anthropic-compatible upstreams when the client didn't send a version
+const ANTHROPIC_VERSION = '2023-06-01'
+
+// Headers for an upstream request. Upstreams that speak the Messages API get the
+// client's anthropic-version and anthropic-beta headers, and the profile's key in place
+// of the placeholder key claude-code sends.
+function upstreamHeaders(upstream, incoming = {}) {
+  const headers = {
+    ...upstream.headers,
+    'Content-Type': 'application/json',
+  }
+  if (upstream.protocol === 'anthropic') {
+    headers['anthropic-version'] = incoming['anthropic-version'] || ANTHROPIC_VERSION
+    if (incoming['anthropic-beta']) headers['anthropic-beta'] = incoming['anthropic-beta']
+    if (upstream.key && upstream.authHeader === 'authorization') {
+      headers.Authorization = `Bearer ${upstream.key}`
+    } else if (upstream.key) {
+      headers['x-api-key'] = upstream.key
+    }
+    return headers
+  }
+  if (upstream.key) headers.Authorization = `Bearer ${upstream.key}`
+  return headers
+}
+
+// Build a request for an Anthropic-compatible upstream: the client's request unchanged
+// apart from the model.
+function anthropicRequest(payload, upstream, incomingHeaders, path = '/v1/messages') {
+  const model = selectModel(payload, upstream)
+  return {
+    model,
+    url: `${upstream.baseUrl}${path}`,
+    init: {
+      method: 'POST',
+      headers: upstreamHeaders(upstream, incomingHeaders),
+      body: JSON.stringify({ ...payload, model }),
+    }
+  }
+}
+
+// Pass a response from an Anthropic-compatible upstream through to the client, reading
+// token usage from it on the way. `onStreamStart` is called before the first byte of a
+// stream is written; `isClosed` reports whether the client has gone away.
+async function forwardAnthropicResponse(response, reply, { config, log, upstream, model, onStreamStart, isClosed, outcome }) {
+  if (!response.ok) {
+    const details = await response.text()
+    debug(log, 'Anthropic upstream error response:', response.status, details)
+    const parsed = parseBody(details)
+    const { status, body } = parsed && parsed.type === 'error'
+      ? { status: response.status, body: parsed }
+      : mapUpstreamError(response.status, details)
+    outcome.error = body.error && body.error.message
+    reply.code(status)
+    return body
+  }
+
+  if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+    const data = await response.json()
+    debug(log, 'Anthropic upstream response:', data)
+    outcome.stopReason = data.stop_reason
+    if (data.usage) recordUsage(config, upstream, data.model || model, readAnthropicUsage(data.usage), outcome)
+    return data
+  }
+
+  onStreamStart()
+  reply.raw.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  })
+
+  // message_start carries the input tokens, message_delta the output tokens so far
+  let usage = null
+  let buffer = ''
+  const decoder = new TextDecoder('utf-8')
+  const reader = response.body.getReader()
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) break
+    if (isClosed()) {
+      await reader.cancel()
+      return
+    }
+    reply.raw.write(value)
+
+    buffer += decoder.decode(value, { stream: true })
+    const lines = buffer.split('\n')
+    buffer = lines.pop() || ''
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue
+      const event = parseBody(line.replace(/^data:\s*/, ''))
+      if (event?.type === 'message_start' && event.message?.usage) {
+        usage = { ...event.message.usage }
+      } else if (event?.type === 'message_delta') {
+        if (event.usage) usage = { ...usage, ...event.usage }
+        if (event.delta?.stop_reason) outcome.stopReason = event.delta.stop_reason
+      }
+    }
+  }
+
+  if (usage) {
+    recordUsage(config, upstream, model, readAnthropicUsage(usage), outcome)
+  } else {
+    debug(log, 'Anthropic upstream stream ended without usage')
+  }
+  reply.raw.end()
+}
+
+function parseBody(text) {
+  try {
+    return JSON.parse(text)
+  } catch (error) {
+    return null
+  }
+}
+
+// API an upstream speaks: chat completions, the Responses API or the Messages API
+const PROTOCOLS = ['openai', 'responses', 'anthropic']
+
+// Build an upstream (base URL, key, headers and models) from start() options or a fallback
+// entry. `defaults` holds settings upstreams take from the primary's options.
+function createUpstream(options, name, defaults = {}) {
+  const protocol = options.protocol || 'openai'
+  if (!PROTOCOLS.includes(protocol)) {
+    throw new Error(`Unknown protocol "${protocol}" for upstream ${options.name || name}. Use ${PROTOCOLS.join(', ')}`)
+  }
+  return {
+    name: options.name || name,
     baseUrl: options.baseUrl || 'https://api.groq.com/openai',
     key: options.key,
+    headers: options.headers || {},
     models: {
       reasoning: options.reasoningModel || 'moonshotai/kimi-k2-instruct',
       completion: options.completionModel || 'moonshotai/kimi-k2-instruct',
     },
-    maxTokens: options.maxTokens || 16384,
-    debug: options.debug || false
+    modelMap: compileModelMap(options.modelMap),
+    maxTokens: options.maxTokens || defaults.maxTokens,
+    unsupportedParams: options.unsupportedParams || [],
+    contextWindow: options.contextWindow,
+    // Tools never sent upstream; BatchTool by default, which Kimi can't use
+    denyTools: ((options.tools && options.tools.deny) || ['BatchTool']).map(patternToRegExp),
+    toolPipeline: createToolPipeline(options.tools),
+    // 'openai' for chat completions, 'responses' for the Responses API, 'anthropic' for
+    // upstreams that serve the Messages API
+    protocol,
+    // Header carrying the key for Anthropic-compatible upstreams: 'x-api-key' or 'authorization'
+    authHeader: options.authHeader || 'x-api-key',
   }
+}
+
+// Add a request's token counts to the session usage and to `outcome`, the request's log
+// entry. `counts` come from readUsage, or are estimates marked with `estimated: true`.
+function recordUsage(config, upstream, model, counts, outcome) {
+  if (outcome) {
+    outcome.upstream = upstream.name
+    outcome.model = model
+    for (const key of ['inputTokens', 'outputTokens', 'cachedInputTokens']) {
+      outcome[key] = (outcome[key] || 0) + (counts[key] || 0)
+    }
+    if (counts.estimated) outcome.estimated = true
+  }
+  if (!config.usage) return
+  config.usage.record({ profile: upstream.name, model }, counts)
+}
+
+// Ask the upstream once more for a tool call whose arguments didn't validate, telling
+// the model what was wrong. `request` is the request that produced the call. Returns
+// the new arguments, or null when the answer isn't a call to the same tool.
+async function reaskToolCall({ config, log, upstream, request, toolCall, errors, outcome, fetch = globalThis.fetch }) {
+  const body = JSON.parse(request.init.body)
+  body.stream = false
+  delete body.stream_options
+  body.messages = [
+    ...body.messages,
+    {
+      role: 'assistant',
+      tool_calls: [{ id: toolCall.id, type: 'function', function: { name: toolCall.name, arguments: toolCall.arguments } }],
+    },
+    {
+      role: 'tool',
+      tool_call_id: toolCall.id,
+      content: `Error: invalid arguments for ${toolCall.name}:\n${errors.join('\n')}\n` +
+        `Call ${toolCall.name} again with arguments that match its input schema.`,
+    },
+  ]
+  body.tool_choice = { type: 'function', function: { name: toolCall.name } }
+  delete body.parallel_tool_calls
+
+  const response = await fetch(request.url, { ...request.init, body: JSON.stringify(body), signal: config.signal })
+  if (!response.ok) {
+    debug(log, `Re-asking for ${toolCall.name} failed with status ${response.status}`)
+    await discard(response)
+    return null
+  }
+  const data = await response.json()
+  if (data.usage) recordUsage(config, upstream, request.model, readUsage(data.usage), outcome)
+  const retried = (data.choices?.[0]?.message?.tool_calls || [])
+    .find(call => call.function?.name === toolCall.name)
+  return retried ? retried.function.arguments : null
+}
 
-  // Initialize fastify with debug logging if enabled
-  fastify = Fastify({
-    logger: config.debug
+// Upstream statuses worth retrying: timeouts, rate limits and server-side failures.
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504, 529]
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Parse rate limit durations such as "7.66s", "2m59.56s", "1h2m" or "850ms" into milliseconds.
+function parseDuration(value) {
+  if (!value) return null
+  if (/^\d+(\.\d+)?$/.test(value)) return Number(value) * 1000
+  const pattern = /(\d+(?:\.\d+)?)(ms|h|m|s)/g
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 }
+  let total = 0
+  let matched = false
+  for (const [, amount, unit] of value.matchAll(pattern)) {
+    total += Number(amount) * units[unit]
+    matched = true
+  }
+  return matched ? total : null
+}
+
+// Parse an RFC 3339 reset time into milliseconds from now.
+function parseResetTime(value) {
+  const date = value ? Date.parse(value) : NaN
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+// How long the upstream asked us to wait, from Retry-After, the x-ratelimit-reset-*
+// headers, or the anthropic-ratelimit-*-reset headers of Anthropic-compatible upstreams.
+function requestedDelay(headers) {
+  const retryAfter = headers.get('retry-after')
+  if (retryAfter) {
+    const seconds = Number(retryAfter)
+    if (Number.isFinite(seconds)) return seconds * 1000
+    const date = Date.parse(retryAfter)
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now())
+  }
+
+  // Prefer the reset of a limit that is actually exhausted; otherwise the sooner one.
+  const limits = [
+    ...['requests', 'tokens'].map(kind => ({
+      exhausted: headers.get(`x-ratelimit-remaining-${kind}`) === '0',
+      delay: parseDuration(headers.get(`x-ratelimit-reset-${kind}`)),
+    })),
+    ...['requests', 'tokens', 'input-tokens', 'output-tokens'].map(kind => ({
+      exhausted: headers.get(`anthropic-ratelimit-${kind}-remaining`) === '0',
+      delay: parseResetTime(headers.get(`anthropic-ratelimit-${kind}-reset`)),
+    })),
+  ].filter(limit => limit.delay !== null)
+  if (limits.length === 0) return null
+  const exhausted = limits.filter(limit => limit.exhausted)
+  return Math.min(...(exhausted.length > 0 ? exhausted : limits).map(limit => limit.delay))
+}
+
+function retryDelay(retry, response, attempt) {
+  const requested = response ? requestedDelay(response.headers) : null
+  if (requested !== null) return Math.ceil(requested)
+  const backoff = retry.baseDelay * 2 ** attempt
+  return Math.min(retry.maxDelay, Math.round(backoff / 2 + Math.random() * backoff / 2))
+}
+
+// Discard a response body we won't read so the connection can be reused.
+async function discard(response) {
+  try {
+    await response.body?.cancel()
+  } catch (error) {
+    // Ignore errors from already closed bodies
+  }
+}
+
+// Send a request upstream, retrying transient failures with backoff and then failing over
+// to each fallback upstream in order. `buildRequest(upstream)` returns `{ url, init }` for
+// that upstream. Resolves with the first usable response, or the last failed one.
+// Options: `isCancelled` stops retrying once it returns true; `fetch` replaces the global
+// fetch (used for recording and replay); `log` gets the retries and failovers.
+async function fetchUpstream(config, buildRequest, { isCancelled = () => false, fetch = globalThis.fetch, log } = {}) {
+  let last = null
+  let lastError = null
+
+  for (const [index, upstream] of config.upstreams.entries()) {
+    if (index > 0) debug(log, `Failing over to upstream ${upstream.name}`)
+    const request = buildRequest(upstream)
+
+    for (let attempt = 0; attempt <= config.retry.retries; attempt++) {
+      if (isCancelled()) break
+      if (last) await discard(last.response)
+      last = null
+
+      try {
+        const sentAt = Date.now()
+        const response = await fetch(request.url, { ...request.init, signal: config.signal })
+        if (config.metrics) config.metrics.upstreamLatency.observe({ upstream: upstream.name }, (Date.now() - sentAt) / 1000)
+        if (response.ok || !RETRYABLE_STATUS.includes(response.status)) {
+          return { response, upstream, request }
+        }
+        last = { response, upstream, request }
+        debug(log, `Upstream ${upstream.name} returned ${response.status}`)
+      } catch (error) {
+        lastError = error
+        debug(log, `Upstream ${upstream.name} request failed: ${error.message}`)
+      }
+
+      if (attempt === config.retry.retries) break
+      const delay = retryDelay(config.retry, last?.response, attempt)
+      if (delay > config.retry.maxDelay) {
+        debug(log, `Upstream ${upstream.name} asked to wait ${delay}ms, not retrying`)
+        break
+      }
+      debug(log, `Retrying upstream ${upstream.name} in ${delay}ms (attempt ${attempt + 2} of ${config.retry.retries + 1})`)
+      if (config.metrics) config.metrics.retries.inc({ upstream: upstream.name })
+      await sleep(delay)
+    }
+  }
+
+  if (last) return last
+  throw lastError || new Error('Request cancelled')
+}
+
+// Start a proxy server on `port` (0 for a free one). Every call creates a separate server
+// with its own configuration. Resolves with { config, fastify, port, stop }; stop() closes
+// the server once the requests in flight are done.
+const start = async (port = 3000, options = {}) => {
+  // Fallbacks without their own limit use the primary's
+  const defaults = { maxTokens: options.maxTokens || 16384 }
+  const upstreamRequests = new AbortController()
+  const config = {
+    // The primary upstream first, then fallbacks in the order they should be tried
+    upstreams: [
+      createUpstream(options, 'primary', defaults),
+      ...(options.fallbacks || []).map((fallback, index) => createUpstream(fallback, `fallback ${index + 1}`, defaults)),
+    ],
+    retry: {
+      retries: options.retries !== undefined ? options.retries : 2,
+      baseDelay: options.retryBaseDelay || 500,
+      maxDelay: options.retryMaxDelay || 30000,
+    },
+    vision: options.vision,
+    reaskToolCalls: options.reaskToolCalls || false,
+    // Trim old tool results instead of failing when the prompt doesn't fit
+    trimToolResults: options.trimToolResults || false,
+    tokenCounter: options.tokenCounter || 'local',
+    // Records upstream traffic to a file, or serves it from one instead of the network
+    traffic: null,
+    // Replays stay offline: token counts are estimated instead of asking the provider
+    replaying: Boolean(options.replay),
+    // Key clients must send; anyone who can reach the port can use the proxy without one
+    authToken: options.authToken || null,
+    // Session usage tracker from usage.js, if the caller wants token and cost totals
+    usage: options.usage || null,
+    // Writes full requests and responses to `transcriptDir`, if set
+    transcripts: null,
+    // Prometheus metrics served on /metrics, if enabled
+    metrics: options.metrics ? createMetrics() : null,
+    // Cancels upstream requests still running when stop() runs out of time
+    signal: upstreamRequests.signal,
+  }
+
+  // Keys and the session token never reach logs or transcripts
+  const secrets = [...config.upstreams.map(upstream => upstream.key), config.authToken]
+  if (options.transcriptDir) {
+    config.transcripts = createTranscriptWriter(options.transcriptDir, { limit: options.transcriptLimit, secrets })
+  }
+
+  // JSON lines at `logLevel` to `logFile` (stdout without one); no logging without a level
+  const fastify = Fastify({
+    logger: options.logLevel
+      ? {
+          level: options.logLevel,
+          stream: createLogStream(options.logFile, { secrets }),
+          redact: {
+            paths: ['req.headers.authorization', 'req.headers["x-api-key"]'],
+            censor: REDACTED,
+          },
+        }
+      : false
+  })
+
+  if (options.replay) {
+    config.traffic = createReplayer(options.replay, { debug: (...args) => debug(fastify.log, ...args) })
+  } else if (options.record) {
+    config.traffic = createRecorder(options.record, {
+      secrets: config.upstreams.map(upstream => upstream.key),
+    })
+  }
+
+  const startedAt = new Date().toISOString()
+
+  fastify.addHook('onClose', async () => {
+    if (config.traffic) await config.traffic.close()
+  })
+
+  // Only clients holding the token may spend the upstream quota; /healthz and /metrics
+  // stay open for health checks and scrapers
+  fastify.addHook('onRequest', async (request, reply) => {
+    if (!config.authToken || ['/healthz', '/metrics'].includes(request.url.split('?')[0])) return
+    if (!hasValidToken(request, config.authToken)) {
+      debug(request.log, `Rejected ${request.method} ${request.url}: missing or wrong API key`)
+      reply.code(ERROR_STATUS.authentication_error)
+      return reply.send(anthropicError('authentication_error', 'invalid x-api-key: use the token kimi gave this session'))
+    }
   })
 
   // Register the route
   fastify.post('/v1/messages', async (request, reply) => {
     let hasStartedStreaming = false
     let connectionClosed = false
+    const requestStarted = Date.now()
+    // Summary logged when the response is done: upstream, model, tokens, stop reason, error
+    const outcome = { stream: request.body?.stream === true }
+
+    // Everything written to the client, for the transcript
+    const transcript = config.transcripts ? { chunks: [] } : null
+    if (transcript) {
+      for (const method of ['write', 'end']) {
+        const original = reply.raw[method].bind(reply.raw)
+        reply.raw[method] = (chunk, ...rest) => {
+          if (chunk && typeof chunk !== 'function') transcript.chunks.push(String(chunk))
+          return original(chunk, ...rest)
+        }
+      }
+    }
     
     // Handle connection close
     reply.raw.on('close', () => {
       connectionClosed = true
+      const latencyMs = Date.now() - requestStarted
+      request.log.info({ ...outcome, statusCode: reply.raw.statusCode, latencyMs }, 'messages request finished')
+      if (config.metrics) {
+        config.metrics.observeRequest({
+          outcome,
+          status: reply.raw.statusCode,
+          latencyMs,
+          disconnected: !reply.raw.writableFinished,
+        })
+      }
+      if (transcript) {
+        try {
+          config.transcripts.write(request.id, {
+            id: request.id,
+            time: new Date(requestStarted).toISOString(),
+            ...outcome,
+            latencyMs,
+            request: request.body,
+            upstreamRequest: transcript.upstreamBody ? parseBody(transcript.upstreamBody) : null,
+            response: transcript.chunks.join(''),
+          })
+        } catch (error) {
+          request.log.error({ err: error }, 'Failed to write transcript')
+        }
+      }
     })
     
     reply.raw.on('error', () => {
@@ -76,133 +645,142 @@ const start = async (port = 3000, options = {}) => {
     
     try {
       const payload = request.body
+      const log = request.log
+      const primary = config.upstreams[0]
 
-      // Helper to normalize a message's content.
-      // If content is a string, return it directly.
-      // If it's an array (of objects with text property), join them.
-      const normalizeContent = (content) => {
-        if (typeof content === 'string') return content
-        if (Array.isArray(content)) {
-          return content.map(item => item.text).join(' ')
-        }
-        return null
+      const model = selectModel(payload, primary, log)
+      let messages = buildMessages(payload, { vision: supportsVision(config, model) })
+      outcome.model = model
+
+      const hasImages = messages.some(msg => Array.isArray(msg.content) && msg.content.some(part => part.type === 'image_url'))
+      // Anthropic-compatible upstreams get the request as it is and decide for themselves
+      if (hasImages && primary.protocol !== 'anthropic' && !supportsVision(config, model)) {
+        const message = `Model ${model} does not support image input. Remove the image or configure a vision-capable model.`
+        outcome.error = message
+        reply.code(400)
+        return anthropicError('invalid_request_error', message)
       }
 
-      // Build messages array for the OpenAI payload.
-      // Start with system messages if provided.
-      const messages = []
-      if (payload.system && Array.isArray(payload.system)) {
-        payload.system.forEach(sysMsg => {
-          const normalized = normalizeContent(sysMsg.text || sysMsg.content)
-          if (normalized) {
-            messages.push({
-              role: 'system',
-              content: normalized
-            })
-          }
-        })
+      // Check the prompt against the primary model's context window, so claude-code gets
+      // the error it compacts on instead of whatever the provider says
+      const window = primary.protocol === 'openai' ? contextWindow(primary, model) : null
+      if (window) {
+        const { tools } = upstreamTools(payload, primary)
+        let tokens = estimateTokens({ messages, tools }, model)
+        if (tokens > window && config.trimToolResults) {
+          // Leave room for the response
+          const budget = window - maxOutputTokens(primary, model)
+          const trimmed = trimToolResults(messages, tools, model, budget)
+          debug(log, `Trimmed old tool results from ${tokens} to ${trimmed.tokens} estimated tokens`)
+          messages = trimmed.messages
+          tokens = trimmed.tokens
+        }
+        if (tokens > window) {
+          outcome.error = `prompt is too long: ${tokens} tokens > ${window} maximum`
+          reply.code(400)
+          return anthropicError('invalid_request_error', outcome.error)
+        }
       }
-      // Then add user (or other) messages.
-      if (payload.messages && Array.isArray(payload.messages)) {
-        payload.messages.forEach(msg => {
-          const toolCalls = (Array.isArray(msg.content) ? msg.content : []).filter(item => item.type === 'tool_use').map(toolCall => ({
-            id: toolCall.id,
-            type: 'function',
-            function: {
-              name: toolCall.name,
-              arguments: JSON.stringify(toolCall.input),
-            }
-          }))
-          const newMsg = { role: msg.role }
-          const normalized = normalizeContent(msg.content)
-          if (normalized) newMsg.content = normalized
-          if (toolCalls.length > 0) newMsg.tool_calls = toolCalls
-          if (newMsg.content || newMsg.tool_calls) messages.push(newMsg)
-
-          if (Array.isArray(msg.content)) {
-            const toolResults = msg.content.filter(item => item.type === 'tool_result')
-            toolResults.forEach(toolResult => {
-              messages.push({
-                role: 'tool',
-                content: toolResult.text || toolResult.content,
-                tool_call_id: toolResult.tool_use_id,
-              })
-            })
+
+      const exchange = config.traffic ? config.traffic.start(payload) : null
+      const { response: openaiResponse, upstream: servedUpstream, request: upstreamRequest } = await fetchUpstream(config, upstream => {
+        if (upstream.protocol === 'anthropic') return anthropicRequest(payload, upstream, request.headers)
+
+        // Tools, and the tool names in the conversation, depend on the upstream's pipeline
+        const upstreamModel = selectModel(payload, upstream, log)
+        const toolset = upstreamTools(payload, upstream)
+        const translation = { model: upstreamModel, maxTokens: maxOutputTokens(upstream, upstreamModel), toolset }
+        const body = dropUnsupportedParams(upstream.protocol === 'responses'
+          ? toResponsesRequest(payload, { ...translation, vision: supportsVision(config, model) })
+          : toOpenAIRequest(payload, { ...translation, messages }), upstream, log)
+        debug(log, `OpenAI payload for ${upstream.name}:`, body)
+        return {
+          model: upstreamModel,
+          toolset,
+          body,
+          url: `${upstream.baseUrl}/v1/${upstream.protocol === 'responses' ? 'responses' : 'chat/completions'}`,
+          init: {
+            method: 'POST',
+            headers: upstreamHeaders(upstream),
+            body: JSON.stringify(body)
           }
+        }
+      }, {
+        isCancelled: () => connectionClosed,
+        fetch: exchange ? exchange.fetch : undefined,
+        log,
+      })
+      if (transcript) transcript.upstreamBody = upstreamRequest.init.body
+      if (servedUpstream.protocol === 'anthropic') {
+        return await forwardAnthropicResponse(openaiResponse, reply, {
+          config,
+          log,
+          upstream: servedUpstream,
+          model: upstreamRequest.model,
+          onStreamStart: () => {
+            hasStartedStreaming = true
+            outcome.firstTokenMs = Date.now() - requestStarted
+          },
+          isClosed: () => connectionClosed,
+          outcome,
         })
       }
 
-      // Prepare the OpenAI payload.
-      // Helper function to recursively traverse JSON schema and remove format: 'uri'
-      const removeUriFormat = (schema) => {
-        if (!schema || typeof schema !== 'object') return schema;
-
-        // If this is a string type with uri format, remove the format
-        if (schema.type === 'string' && schema.format === 'uri') {
-          const { format, ...rest } = schema;
-          return rest;
-        }
+      // A fallback may have served the request with a different model and tools
+      const { toolset, model: servedModel, body: openaiPayload } = upstreamRequest
+      const responsesApi = servedUpstream.protocol === 'responses'
+      const toolSchemas = Object.fromEntries((payload.tools || []).map(tool => [tool.name, tool.input_schema]))
+      const translation = {
+        model: servedModel,
+        stopSequences: payload.stop_sequences,
+        clientName: toolset.clientName,
+        // Used until the provider reports usage, or instead of it
+        inputTokens: estimateTokens({ messages, tools: toolset.tools }, servedModel),
+      }
 
-        // Handle array of schemas (like in anyOf, allOf, oneOf)
-        if (Array.isArray(schema)) {
-          return schema.map(item => removeUriFormat(item));
-        }
+      // Turn the arguments of a tool call into a tool_use input claude-code can use.
+      // Malformed JSON is repaired; arguments that don't match the tool's schema are
+      // re-asked for once when enabled (chat completions only), and passed on as they are
+      // otherwise.
+      const resolveToolInput = async (toolCall) => {
+        const schema = toolSchemas[toolCall.name]
+        let result = checkToolArguments(toolCall.arguments, schema)
+        if (result.repaired) debug(log, `Repaired arguments of ${toolCall.name}:`, toolCall.arguments)
 
-        // Recursively process all properties
-        const result = {};
-        for (const key in schema) {
-        if (key === 'properties' && typeof schema[key] === 'object') {
-          result[key] = {};
-          for (const propKey in schema[key]) {
-            result[key][propKey] = removeUriFormat(schema[key][propKey]);
+        if (result.errors.length > 0 && config.reaskToolCalls && !responsesApi && !connectionClosed) {
+          debug(log, `Invalid arguments for ${toolCall.name}, asking again:`, result.errors)
+          try {
+            const retriedArguments = await reaskToolCall({
+              config,
+              log,
+              upstream: servedUpstream,
+              request: upstreamRequest,
+              toolCall: { ...toolCall, name: toolset.upstreamName(toolCall.name) },
+              errors: result.errors,
+              outcome,
+              fetch: exchange ? exchange.fetch : undefined,
+            })
+            if (retriedArguments !== null) {
+              const retried = checkToolArguments(retriedArguments, schema)
+              if (retried.errors.length < result.errors.length) result = retried
+            }
+          } catch (error) {
+            debug(log, `Re-asking for ${toolCall.name} failed:`, error.message)
           }
-        } else if (key === 'items' && typeof schema[key] === 'object') {
-          result[key] = removeUriFormat(schema[key]);
-        } else if (key === 'additionalProperties' && typeof schema[key] === 'object') {
-          result[key] = removeUriFormat(schema[key]);
-        } else if (['anyOf', 'allOf', 'oneOf'].includes(key) && Array.isArray(schema[key])) {
-          result[key] = schema[key].map(item => removeUriFormat(item));
-        } else {
-          result[key] = removeUriFormat(schema[key]);
-        }
         }
-        return result;
-      };
-
-      const tools = (payload.tools || []).filter(tool => !['BatchTool'].includes(tool.name)).map(tool => ({
-        type: 'function',
-        function: {
-          name: tool.name,
-          description: tool.description,
-          parameters: removeUriFormat(tool.input_schema),
-        },
-      }))
-      const openaiPayload = {
-        model: payload.thinking ? config.models.reasoning : config.models.completion,
-        messages,
-        max_tokens: config.maxTokens,
-        temperature: payload.temperature !== undefined ? payload.temperature : 1,
-        stream: payload.stream === true,
-      }
-      if (tools.length > 0) openaiPayload.tools = tools
-      debug('OpenAI payload:', openaiPayload)
 
-      const headers = {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${config.key}`,
+        if (result.errors.length > 0) debug(log, `Arguments of ${toolCall.name} are still invalid:`, result.errors)
+        return result.input
       }
-      
-      const openaiResponse = await fetch(`${config.baseUrl}/v1/chat/completions`, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(openaiPayload)
-      });
 
       if (!openaiResponse.ok) {
         const errorDetails = await openaiResponse.text()
+        debug(log, 'OpenAI error response:', openaiResponse.status, errorDetails)
         if (!reply.sent && !hasStartedStreaming && !connectionClosed) {
-          reply.code(openaiResponse.status)
-          return { error: errorDetails }
+          const { status, body } = mapUpstreamError(openaiResponse.status, errorDetails)
+          outcome.error = body.error.message
+          reply.code(status)
+          return body
         }
         return
       }
@@ -210,64 +788,38 @@ const start = async (port = 3000, options = {}) => {
       // If stream is not enabled, process the complete response.
       if (!openaiPayload.stream) {
         const data = await openaiResponse.json()
-        debug('OpenAI response:', data)
+        debug(log, 'OpenAI response:', data)
         if (data.error) {
-          throw new Error(data.error.message)
+          const { status, body } = mapUpstreamError(null, data)
+          outcome.error = body.error.message
+          reply.code(status)
+          return body
         }
 
-
-        const choice = data.choices[0]
-        const openaiMessage = choice.message
-
-        // Map finish_reason to anthropic stop_reason.
-        const stopReason = mapStopReason(choice.finish_reason)
-        const toolCalls = openaiMessage.tool_calls || []
-
-        // Create a message id; if available, replace prefix, otherwise generate one.
-        const messageId = data.id
-          ? data.id.replace('chatcmpl', 'msg')
-          : 'msg_' + Math.random().toString(36).substr(2, 24)
-
-        const anthropicResponse = {
-          content: [
-            {
-              text: openaiMessage.content,
-              type: 'text'
-            },
-            ...toolCalls.map(toolCall => ({
-              type: 'tool_use',
-              id: toolCall.id,
-              name: toolCall.function.name,
-              input: JSON.parse(toolCall.function.arguments),
-            })),
-          ],
-          id: messageId,
-          model: openaiPayload.model,
-          role: openaiMessage.role,
-          stop_reason: stopReason,
-          stop_sequence: null,
-          type: 'message',
-          usage: {
-            input_tokens: data.usage
-              ? data.usage.prompt_tokens
-              : messages.reduce((acc, msg) => acc + msg.content.split(' ').length, 0),
-            output_tokens: data.usage
-              ? data.usage.completion_tokens
-              : openaiMessage.content.split(' ').length,
-          }
+        // Tool inputs may need another request, so they are resolved first
+        const toolInputs = []
+        const toolCalls = responsesApi
+          ? (data.output || []).filter(item => item.type === 'function_call')
+              .map(item => ({ id: item.call_id, name: item.name, arguments: item.arguments }))
+          : (data.choices?.[0]?.message?.tool_calls || [])
+              .map(toolCall => ({ id: toolCall.id, name: toolCall.function.name, arguments: toolCall.function.arguments }))
+        for (const toolCall of toolCalls) {
+          toolInputs.push(await resolveToolInput({ ...toolCall, name: toolset.clientName(toolCall.name) }))
         }
+        const anthropicResponse = (responsesApi ? fromResponsesResponse : toAnthropicResponse)(data, {
+          ...translation,
+          toolInput: (toolCall, index) => toolInputs[index],
+        })
 
+        const counts = readAnthropicUsage(anthropicResponse.usage)
+        if (!data.usage) counts.estimated = true
+        recordUsage(config, servedUpstream, servedModel, counts, outcome)
+        outcome.stopReason = anthropicResponse.stop_reason
         return anthropicResponse
       }
 
-
-      let isSucceeded = false
-      let isStreamingStarted = false
-      
       function sendSuccessMessage() {
-        if (isSucceeded || reply.sent || connectionClosed || hasStartedStreaming) return
-        isSucceeded = true
-        isStreamingStarted = true
+        if (reply.sent || connectionClosed || hasStartedStreaming) return
         hasStartedStreaming = true
 
         try {
@@ -278,249 +830,212 @@ const start = async (port = 3000, options = {}) => {
             Connection: 'keep-alive'
           })
         } catch (error) {
-          console.error('Error writing headers:', error.message)
+          log.error({ err: error }, 'Error writing headers')
           connectionClosed = true
-          return
         }
+      }
 
-        // Create a unique message id.
-        const messageId = 'msg_' + Math.random().toString(36).substr(2, 24)
-
-        // Send initial SSE event for message start.
-        sendSSE(reply, 'message_start', {
-          type: 'message_start',
-          message: {
-            id: messageId,
-            type: 'message',
-            role: 'assistant',
-            model: openaiPayload.model,
-            content: [],
-            stop_reason: null,
-            stop_sequence: null,
-            usage: { input_tokens: 0, output_tokens: 0 },
+      const translator = (responsesApi ? createResponsesStreamTranslator : createStreamTranslator)({
+        ...translation,
+        resolveToolInput,
+        onEvent: (event, data) => {
+          if (connectionClosed) return
+          if (event === 'content_block_start' && outcome.firstTokenMs === undefined) {
+            outcome.firstTokenMs = Date.now() - requestStarted
           }
-        })
+          sendSSE(reply, event, data)
+        },
+      })
 
-        // Send initial ping.
-        sendSSE(reply, 'ping', { type: 'ping' })
+      // End the message with its stop reason and usage
+      const finishStream = async () => {
+        const { stopReason, counts } = await translator.finish()
+        recordUsage(config, servedUpstream, servedModel, counts, outcome)
+        outcome.stopReason = stopReason
+        if (connectionClosed) return
+        try {
+          reply.raw.end()
+        } catch (error) {
+          // Ignore error if already closed
+        }
       }
 
-      // Prepare for reading streamed data.
-      let accumulatedContent = ''
-      let accumulatedReasoning = ''
-      let usage = null
-      let textBlockStarted = false
-      let encounteredToolCall = false
-      const toolCallAccumulators = {}  // key: tool call index, value: accumulated arguments string
-      const decoder = new TextDecoder('utf-8')
+      const parser = createStreamParser()
       const reader = openaiResponse.body.getReader()
       let done = false
-      let buffer = '' // Buffer to accumulate partial chunks
-      let incompleteDataLine = '' // Buffer for incomplete data: lines
 
       while (!done && !connectionClosed) {
         const { value, done: doneReading } = await reader.read()
         done = doneReading
-        if (value && !connectionClosed) {
-          const chunk = decoder.decode(value, { stream: true })
-          debug('OpenAI response chunk:', chunk)
-          
-          // Add new chunk to buffer
-          buffer += chunk
-          
-          // Split by lines and process complete lines only
-          const lines = buffer.split('\n')
-          // Keep the last potentially incomplete line in the buffer
-          buffer = lines.pop() || ''
-
-          for (const line of lines) {
-            if (connectionClosed) break
-            if (!line) continue
-            const trimmed = line.trim()
-            if (trimmed === '' || !trimmed.startsWith('data:')) continue
-            
-            // Handle incomplete data lines by accumulating them
-            let dataStr = trimmed.replace(/^data:\s*/, '')
-            if (incompleteDataLine) {
-              dataStr = incompleteDataLine + dataStr
-              incompleteDataLine = ''
-            }
+        if (connectionClosed) break
 
-            if (!dataStr) continue
-            
-            if (dataStr === '[DONE]') {
-              // Finalize the stream with stop events.
-              if (encounteredToolCall) {
-                for (const idx in toolCallAccumulators) {
-                  if (connectionClosed) break
-                  sendSSE(reply, 'content_block_stop', {
-                    type: 'content_block_stop',
-                    index: parseInt(idx, 10)
-                  })
-                }
-              } else if (textBlockStarted && !connectionClosed) {
-                sendSSE(reply, 'content_block_stop', {
-                  type: 'content_block_stop',
-                  index: 0
-                })
-              }
-              if (!connectionClosed) {
-                sendSSE(reply, 'message_delta', {
-                  type: 'message_delta',
-                  delta: {
-                    stop_reason: encounteredToolCall ? 'tool_use' : 'end_turn',
-                    stop_sequence: null
-                  },
-                  usage: usage
-                    ? { output_tokens: usage.completion_tokens }
-                    : { output_tokens: accumulatedContent.split(' ').length + accumulatedReasoning.split(' ').length }
-                })
-                sendSSE(reply, 'message_stop', {
-                  type: 'message_stop'
-                })
-                try {
-                  reply.raw.end()
-                } catch (error) {
-                  // Ignore error if already closed
-                }
-              }
-              return
-            }
+        for (const item of done ? parser.end() : parser.push(value)) {
+          if (connectionClosed) break
+          if (item.done) {
+            await finishStream()
+            return
+          }
+          if (item.malformed !== undefined) {
+            // Skip malformed JSON chunks
+            debug(log, 'Skipping malformed JSON chunk:', item.malformed, item.error)
+            if (config.metrics) config.metrics.malformedChunks.inc({ upstream: servedUpstream.name })
+            continue
+          }
 
-            if (connectionClosed) break
-            
-            try {
-              const parsed = JSON.parse(dataStr)
-              if (parsed.error) {
-                throw new Error(parsed.error.message)
-              }
-              if (!isStreamingStarted && !connectionClosed) {
-                sendSuccessMessage()
-              }
-              // Capture usage if available.
-              if (parsed.usage) {
-                usage = parsed.usage
-              }
-              const delta = parsed.choices?.[0]?.delta
-              if (delta && delta.tool_calls && !connectionClosed) {
-                for (const toolCall of delta.tool_calls) {
-                  if (connectionClosed) break
-                  encounteredToolCall = true
-                  const idx = toolCall.index
-                  if (toolCallAccumulators[idx] === undefined) {
-                    toolCallAccumulators[idx] = ""
-                    sendSSE(reply, 'content_block_start', {
-                      type: 'content_block_start',
-                      index: idx,
-                      content_block: {
-                        type: 'tool_use',
-                        id: toolCall.id,
-                        name: toolCall.function.name,
-                        input: {}
-                      }
-                    })
-                  }
-                  const newArgs = toolCall.function.arguments || ""
-                  const oldArgs = toolCallAccumulators[idx]
-                  if (newArgs.length > oldArgs.length) {
-                    const deltaText = newArgs.substring(oldArgs.length)
-                    sendSSE(reply, 'content_block_delta', {
-                      type: 'content_block_delta',
-                      index: idx,
-                      delta: {
-                        type: 'input_json_delta',
-                        partial_json: deltaText
-                      }
-                    })
-                    toolCallAccumulators[idx] = newArgs
-                  }
-                }
-              } else if (delta && delta.content && !connectionClosed) {
-                if (!textBlockStarted) {
-                  textBlockStarted = true
-                  sendSSE(reply, 'content_block_start', {
-                    type: 'content_block_start',
-                    index: 0,
-                    content_block: {
-                      type: 'text',
-                      text: ''
-                    }
-                  })
-                }
-                accumulatedContent += delta.content
-                sendSSE(reply, 'content_block_delta', {
-                  type: 'content_block_delta',
-                  index: 0,
-                  delta: {
-                    type: 'text_delta',
-                    text: delta.content
-                  }
-                })
-              } else if (delta && delta.reasoning && !connectionClosed) {
-                if (!textBlockStarted) {
-                  textBlockStarted = true
-                  sendSSE(reply, 'content_block_start', {
-                    type: 'content_block_start',
-                    index: 0,
-                    content_block: {
-                      type: 'text',
-                      text: ''
-                    }
-                  })
-                }
-                accumulatedReasoning += delta.reasoning
-                sendSSE(reply, 'content_block_delta', {
-                  type: 'content_block_delta',
-                  index: 0,
-                  delta: {
-                    type: 'thinking_delta',
-                    thinking: delta.reasoning
-                  }
-                })
-              }
-            } catch (parseError) {
-              // Check if this is an incomplete JSON object that we should buffer
-              if (parseError.message.includes('Unterminated') || 
-                  parseError.message.includes('Unexpected end') || 
-                  parseError.message.includes('Unexpected token')) {
-                debug('Buffering incomplete JSON:', dataStr)
-                incompleteDataLine = dataStr
-                continue
-              }
-              // Skip other malformed JSON chunks
-              debug('Skipping malformed JSON chunk:', dataStr, parseError.message)
-              continue
+          const parsed = item.chunk
+          log.trace({ chunk: parsed }, 'OpenAI response chunk')
+          const streamError = responsesApi ? responsesStreamError(parsed) : parsed.error ? parsed : null
+          if (streamError) {
+            const { status, body } = mapUpstreamError(null, streamError)
+            debug(log, 'OpenAI stream error:', streamError.error || streamError)
+            outcome.error = body.error.message
+            if (!hasStartedStreaming) {
+              reply.code(status)
+              return body
             }
+            sendStreamError(reply, body)
+            return
+          }
+          // Responses streams announce the response before any output; an error that follows
+          // can still be sent with its HTTP status
+          if (responsesApi && ['response.created', 'response.in_progress'].includes(parsed.type)) continue
+          sendSuccessMessage()
+          // Responses streams end with the completed response instead of [DONE]
+          if (!connectionClosed && await translator.push(parsed)) {
+            await finishStream()
+            return
           }
         }
       }
 
-      if (!connectionClosed) {
-        try {
-          reply.raw.end()
-        } catch (error) {
-          // Ignore error if already closed
-        }
+      if (connectionClosed) return
+      // The upstream closed the stream without [DONE]
+      if (!hasStartedStreaming) {
+        outcome.error = 'Upstream stream ended without a response'
+        reply.code(ERROR_STATUS.api_error)
+        return anthropicError('api_error', outcome.error)
       }
+      debug(log, 'OpenAI stream ended without [DONE]')
+      await finishStream()
     } catch (err) {
-      console.error(err)
-      if (!reply.sent && !hasStartedStreaming && !connectionClosed) {
-        reply.code(500)
-        return { error: err.message }
+      request.log.error({ err }, 'messages request failed')
+      outcome.error = err.message
+      if (connectionClosed) return
+      const body = anthropicError('api_error', err.message)
+      if (hasStartedStreaming) {
+        sendStreamError(reply, body)
+        return
+      }
+      if (!reply.sent) {
+        reply.code(ERROR_STATUS.api_error)
+        return body
       }
     }
   })
 
+  // Count prompt tokens the same way /v1/messages would send them upstream.
+  fastify.post('/v1/messages/count_tokens', async (request) => {
+    const payload = request.body
+
+    // Anthropic-compatible upstreams count tokens themselves, when they have the endpoint
+    const primary = config.upstreams[0]
+    if (primary.protocol === 'anthropic' && !config.replaying) {
+      try {
+        const upstreamRequest = anthropicRequest(payload, primary, request.headers, '/v1/messages/count_tokens')
+        const response = await fetch(upstreamRequest.url, { ...upstreamRequest.init, signal: config.signal })
+        if (response.ok) return await response.json()
+        debug(request.log, 'Upstream token count failed, using local estimate:', response.status, await response.text())
+      } catch (error) {
+        debug(request.log, 'Upstream token count failed, using local estimate:', error.message)
+      }
+    }
+
+    const model = selectModel(payload, primary, request.log)
+    const tokenPayload = {
+      model,
+      messages: buildMessages(payload, { vision: supportsVision(config, model) }),
+      tools: upstreamTools(payload, primary).tools,
+    }
+
+    if (config.tokenCounter !== 'local' && !config.replaying) {
+      try {
+        const count = await countTokensUpstream(config.tokenCounter, {
+          ...tokenPayload,
+          baseUrl: primary.baseUrl,
+          headers: upstreamHeaders(primary),
+          signal: config.signal,
+        })
+        if (count !== null) return { input_tokens: count }
+      } catch (error) {
+        debug(request.log, 'Upstream token count failed, using local estimate:', error.message)
+      }
+    }
+
+    return { input_tokens: estimateTokens(tokenPayload, tokenPayload.model) }
+  })
+
+  // Liveness check for the CLI and scripts
+  fastify.get('/healthz', async () => ({ status: 'ok' }))
+
+  if (config.metrics) {
+    fastify.get('/metrics', async (request, reply) => {
+      reply.type('text/plain; version=0.0.4; charset=utf-8')
+      return config.metrics.render()
+    })
+  }
+
+  // The upstream models requests can be served by, in the Anthropic models list format
+  fastify.get('/v1/models', async () => {
+    const data = []
+    config.upstreams.forEach(upstream => {
+      const models = [upstream.models.reasoning, upstream.models.completion, ...upstream.modelMap.map(entry => entry.model)]
+      models.forEach(id => {
+        if (data.some(model => model.id === id)) return
+        data.push({ type: 'model', id, display_name: `${id} (${upstream.name})`, created_at: startedAt })
+      })
+    })
+    return {
+      data,
+      has_more: false,
+      first_id: data.length > 0 ? data[0].id : null,
+      last_id: data.length > 0 ? data[data.length - 1].id : null,
+    }
+  })
+
   try {
-    await fastify.listen({ port })
-    return fastify
+    // Loopback only unless the caller asks for another interface
+    await fastify.listen({ port, host: options.host || '127.0.0.1' })
+    return {
+      config,
+      fastify,
+      port: fastify.server.address().port,
+      // Stop taking requests and let those in flight finish. After `timeout` ms, upstream
+      // requests still running are cancelled and client connections closed.
+      stop: async ({ timeout = 5000 } = {}) => {
+        const timer = setTimeout(() => {
+          upstreamRequests.abort()
+          fastify.server.closeAllConnections()
+        }, timeout)
+        try {
+          await fastify.close()
+        } finally {
+          clearTimeout(timer)
+        }
+      },
+    }
   } catch (err) {
     throw err
   }
 }
 
-// Export the start function for use as a module
-module.exports = { start }
+// Export the start function, and the translator for callers that don't need a server
+module.exports = {
+  start,
+  toOpenAIRequest,
+  toAnthropicResponse,
+  toAnthropicStream,
+  createStreamTranslator,
+}
 
 // If this file is run directly, start the server
 if (require.main === module) {
@@ -0,0 +1,220 @@
+// Record and replay upstream traffic as JSONL.
+//
+// Each proxied request produces one `request` line with the incoming Anthropic request,
+// followed by one `upstream` line per upstream attempt with the translated payload and
+// the raw response, split into the chunks it arrived in:
+//
+//   { "type": "request", "id": "...", "time": "...", "request": { ... } }
+//   { "type": "upstream", "id": "...", "attempt": 0, "url": "...", "headers": { ... },
+//     "payload": { ... }, "response": { "status": 200, "headers": { ... },
+//     "chunks": [{ "t": 412, "data": "data: {...}\n\n" }] } }
+//
+// `t` is milliseconds since the upstream request was sent.
+
+const fs = require('fs')
+const { TextDecoder, TextEncoder, isDeepStrictEqual } = require('util')
+
+const REDACTED = '[REDACTED]'
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'x-api-key', 'api-key', 'cookie', 'set-cookie']
+// Describe the body as it was encoded on the wire; recorded chunks are already decoded
+const SKIPPED_RESPONSE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding']
+
+function redactHeaders(headers = {}) {
+  const result = {}
+  for (const [name, value] of Object.entries(headers)) {
+    result[name] = SECRET_HEADERS.includes(name.toLowerCase()) ? REDACTED : value
+  }
+  return result
+}
+
+function responseHeaders(headers) {
+  const result = {}
+  headers.forEach((value, name) => {
+    if (!SKIPPED_RESPONSE_HEADERS.includes(name)) result[name] = value
+  })
+  return result
+}
+
+function parseBody(body) {
+  try {
+    return JSON.parse(body)
+  } catch (error) {
+    return body
+  }
+}
+
+// Record traffic to `file`. Every occurrence of a value in `secrets` (API keys) is
+// replaced before anything is written.
+function createRecorder(file, { secrets = [] } = {}) {
+  const output = fs.createWriteStream(file, { flags: 'a' })
+  const prefix = Date.now().toString(36)
+  let counter = 0
+
+  const write = entry => {
+    let line = JSON.stringify(entry)
+    secrets.filter(Boolean).forEach(secret => {
+      line = line.split(secret).join(REDACTED)
+    })
+    output.write(line + '\n')
+  }
+
+  return {
+    // Start recording an exchange for an incoming Anthropic request. The returned fetch
+    // records each upstream attempt and passes the response through unchanged.
+    start(request) {
+      const id = `${prefix}-${counter++}`
+      let attempt = 0
+      write({ type: 'request', id, time: new Date().toISOString(), request })
+
+      const recordingFetch = async (url, init = {}) => {
+        const started = Date.now()
+        const entry = {
+          type: 'upstream',
+          id,
+          attempt: attempt++,
+          time: new Date(started).toISOString(),
+          url,
+          headers: redactHeaders(init.headers),
+          payload: parseBody(init.body),
+        }
+
+        let response
+        try {
+          response = await fetch(url, init)
+        } catch (error) {
+          write({ ...entry, error: error.message })
+          throw error
+        }
+
+        const recorded = {
+          status: response.status,
+          headers: responseHeaders(response.headers),
+          chunks: [],
+        }
+        let finished = false
+        const finish = (extra = {}) => {
+          if (finished) return
+          finished = true
+          write({ ...entry, response: recorded, ...extra })
+        }
+
+        if (!response.body) {
+          finish()
+          return response
+        }
+
+        const decoder = new TextDecoder('utf-8')
+        const reader = response.body.getReader()
+        const body = new ReadableStream({
+          async pull(controller) {
+            try {
+              const { value, done } = await reader.read()
+              if (done) {
+                const rest = decoder.decode()
+                if (rest) recorded.chunks.push({ t: Date.now() - started, data: rest })
+                finish()
+                controller.close()
+                return
+              }
+              recorded.chunks.push({ t: Date.now() - started, data: decoder.decode(value, { stream: true }) })
+              controller.enqueue(value)
+            } catch (error) {
+              finish({ error: error.message })
+              controller.error(error)
+            }
+          },
+          cancel(reason) {
+            finish({ cancelled: true })
+            return reader.cancel(reason)
+          }
+        })
+
+        return new Response(body, {
+          status: response.status,
+          statusText: response.statusText,
+          headers: response.headers,
+        })
+      }
+
+      return { id, fetch: recordingFetch }
+    },
+
+    close() {
+      return new Promise(resolve => output.end(resolve))
+    }
+  }
+}
+
+// Serve upstream responses from a file written by createRecorder instead of the network.
+// Incoming requests are matched to recorded ones by their Anthropic body; when nothing
+// matches, recorded exchanges are used in order.
+function createReplayer(file, { debug = () => {} } = {}) {
+  const exchanges = []
+  const byId = new Map()
+
+  fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).forEach(line => {
+    const entry = JSON.parse(line)
+    if (entry.type === 'request') {
+      const exchange = { id: entry.id, request: entry.request, upstream: [], used: false }
+      byId.set(entry.id, exchange)
+      exchanges.push(exchange)
+    } else if (entry.type === 'upstream' && byId.has(entry.id)) {
+      byId.get(entry.id).upstream.push(entry)
+    }
+  })
+
+  const findExchange = request => {
+    const matches = exchange => isDeepStrictEqual(exchange.request, request)
+    return exchanges.find(exchange => !exchange.used && matches(exchange)) ||
+      exchanges.find(matches) ||
+      exchanges.find(exchange => !exchange.used)
+  }
+
+  return {
+    start(request) {
+      const exchange = findExchange(request)
+      if (exchange) {
+        exchange.used = true
+        debug(`Replaying recorded exchange ${exchange.id}`)
+      } else {
+        debug('No recorded exchange left to replay')
+      }
+      let attempt = 0
+
+      const replayFetch = async (url) => {
+        const entry = exchange && exchange.upstream[attempt++]
+        if (!entry) {
+          return new Response(JSON.stringify({
+            error: { message: `No recorded response for ${url} in ${file}`, type: 'not_found_error' }
+          }), { status: 404, headers: { 'content-type': 'application/json' } })
+        }
+        if (!entry.response) {
+          throw new TypeError(`fetch failed: ${entry.error || 'no recorded response'}`)
+        }
+
+        const encoder = new TextEncoder()
+        const body = new ReadableStream({
+          start(controller) {
+            entry.response.chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk.data)))
+            controller.close()
+          }
+        })
+        return new Response(body, {
+          status: entry.response.status,
+          headers: entry.response.headers,
+        })
+      }
+
+      return { id: exchange && exchange.id, fetch: replayFetch }
+    },
+
+    close() {
+      return Promise.resolve()
+    }
+  }
+}
+
+module.exports = {
+  createRecorder,
+  createReplayer,
+}
@@ -0,0 +1,453 @@
+// Translation between the Anthropic Messages API and the OpenAI Responses API, for
+// upstreams with `protocol: 'responses'`.
+//
+// The Responses API returns reasoning as output items of their own, with a summary and,
+// when asked for, the encrypted reasoning state. Summaries become thinking blocks. The
+// state travels in the block's signature, which clients send back unchanged, and is
+// passed on as a reasoning item in the next turn's input, so requests stay stateless
+// (`store: false`).
+
+const {
+  imageSourceToUrl,
+  flattenToolResult,
+  buildTools,
+  anthropicUsage,
+  tokenCounts,
+  repairToolInput,
+} = require('./translate.js')
+
+const SIGNATURE_PREFIX = 'kimi-code:responses:'
+// Signature of reasoning that came without its encrypted state; it can't be sent back
+const STATELESS_SIGNATURE = Buffer.from('kimi-code:responses').toString('base64')
+
+function reasoningSignature(item) {
+  if (!item.encrypted_content) return STATELESS_SIGNATURE
+  const state = { id: item.id, encrypted_content: item.encrypted_content }
+  return Buffer.from(SIGNATURE_PREFIX + JSON.stringify(state)).toString('base64')
+}
+
+// The reasoning state in a thinking block's signature, or null when the block didn't
+// come from a Responses upstream or carries no state
+function readReasoningState(signature) {
+  if (typeof signature !== 'string') return null
+  const decoded = Buffer.from(signature, 'base64').toString('utf8')
+  if (!decoded.startsWith(SIGNATURE_PREFIX)) return null
+  try {
+    return JSON.parse(decoded.slice(SIGNATURE_PREFIX.length))
+  } catch (error) {
+    return null
+  }
+}
+
+// Summaries from OpenAI; open-weight models served with the Responses API send the
+// reasoning itself as `reasoning_text` content.
+function reasoningText(item) {
+  const summary = (item.summary || []).map(part => part.text).filter(Boolean)
+  if (summary.length > 0) return summary.join('\n\n')
+  return (item.content || []).filter(part => part.type === 'reasoning_text').map(part => part.text).join('')
+}
+
+// The Anthropic block for a reasoning item. Reasoning without any text is only kept when
+// it has state to send back, as a redacted_thinking block.
+function reasoningBlock(item) {
+  const text = reasoningText(item)
+  if (text) return { type: 'thinking', thinking: text, signature: reasoningSignature(item) }
+  if (item.encrypted_content) return { type: 'redacted_thinking', data: reasoningSignature(item) }
+  return null
+}
+
+function systemInstructions(system) {
+  if (typeof system === 'string') return system
+  if (!Array.isArray(system)) return null
+  return system.map(block => block.text).filter(Boolean).join('\n\n') || null
+}
+
+function inputPart(block) {
+  if (block.type === 'image') {
+    const url = imageSourceToUrl(block.source)
+    return url ? { type: 'input_image', image_url: url } : null
+  }
+  if (typeof block.text === 'string' && block.text) return { type: 'input_text', text: block.text }
+  return null
+}
+
+// The input items of an assistant message, in the order of its blocks
+function assistantItems(content, upstreamName) {
+  const items = []
+  let text = ''
+  const flushText = () => {
+    if (text) items.push({ role: 'assistant', content: text })
+    text = ''
+  }
+  for (const block of content) {
+    if (block.type === 'text') {
+      text += block.text
+    } else if (block.type === 'thinking' || block.type === 'redacted_thinking') {
+      // Only reasoning with state can be sent back; other thinking is left out, as for chat completions
+      const state = readReasoningState(block.type === 'thinking' ? block.signature : block.data)
+      if (!state) continue
+      flushText()
+      items.push({
+        type: 'reasoning',
+        id: state.id,
+        summary: block.thinking ? [{ type: 'summary_text', text: block.thinking }] : [],
+        encrypted_content: state.encrypted_content,
+      })
+    } else if (block.type === 'tool_use') {
+      flushText()
+      items.push({
+        type: 'function_call',
+        call_id: block.id,
+        name: upstreamName(block.name),
+        arguments: JSON.stringify(block.input),
+      })
+    }
+  }
+  flushText()
+  return items
+}
+
+// The input items of a user message. Tool outputs go first so they follow their calls;
+// images returned by tools are sent in the user message after them when `vision` is set,
+// and replaced by a note otherwise.
+function userItems(content, vision) {
+  const items = []
+  const toolImages = []
+  for (const toolResult of content.filter(block => block.type === 'tool_result')) {
+    const { text, images } = flattenToolResult(toolResult)
+    const notes = []
+    if (images.length > 0 && vision) {
+      toolImages.push(
+        { type: 'input_text', text: `Image returned by tool call ${toolResult.tool_use_id}:` },
+        ...images.map(image => ({ type: 'input_image', image_url: image.image_url.url })),
+      )
+      notes.push(`[${images.length} image(s) attached in the next message]`)
+    } else if (images.length > 0) {
+      notes.push(`[${images.length} image(s) omitted: the model does not support image input]`)
+    }
+    items.push({
+      type: 'function_call_output',
+      call_id: toolResult.tool_use_id,
+      output: [text, ...notes].filter(Boolean).join('\n'),
+    })
+  }
+
+  const parts = [...toolImages, ...content.filter(block => block.type !== 'tool_result').map(inputPart).filter(Boolean)]
+  if (parts.length > 0) items.push({ role: 'user', content: parts })
+  return items
+}
+
+// Build the input items for an Anthropic request's messages
+function buildInput(payload, { vision = false, upstreamName = name => name } = {}) {
+  const items = []
+  for (const message of payload.messages || []) {
+    if (typeof message.content === 'string') {
+      items.push({ role: message.role, content: message.content })
+    } else if (Array.isArray(message.content)) {
+      items.push(...(message.role === 'assistant'
+        ? assistantItems(message.content, upstreamName)
+        : userItems(message.content, vision)))
+    }
+  }
+  return items
+}
+
+// claude-code asks for 4k thinking tokens for "think" and 32k for "ultrathink"
+function reasoningEffort(budgetTokens = 0) {
+  if (budgetTokens >= 24000) return 'high'
+  if (budgetTokens >= 8000) return 'medium'
+  return 'low'
+}
+
+// Translate an Anthropic Messages request into a Responses API request. Takes the
+// options of toOpenAIRequest, except `messages`. Stop sequences and top_k have no
+// equivalent and are left out.
+function toResponsesRequest(payload, options = {}) {
+  const { model = payload.model, maxTokens, vision = true, toolset = buildTools(payload) } = options
+  const body = {
+    model,
+    input: buildInput(payload, { vision, upstreamName: toolset.upstreamName }),
+    stream: payload.stream === true,
+    // The reasoning state comes back in thinking signatures instead
+    store: false,
+  }
+  const instructions = systemInstructions(payload.system)
+  if (instructions) body.instructions = instructions
+  // Reasoning models reject sampling parameters, so only what the client set is sent
+  if (payload.temperature !== undefined) body.temperature = payload.temperature
+  if (payload.top_p !== undefined) body.top_p = payload.top_p
+  if (payload.max_tokens || maxTokens) body.max_output_tokens = Math.min(payload.max_tokens || maxTokens, maxTokens || Infinity)
+  if (payload.metadata?.user_id) body.user = payload.metadata.user_id
+
+  if (payload.thinking?.type === 'enabled') {
+    body.reasoning = { effort: reasoningEffort(payload.thinking.budget_tokens), summary: 'auto' }
+    body.include = ['reasoning.encrypted_content']
+  }
+
+  if (toolset.tools.length > 0) {
+    // Responses tools are strict unless told otherwise, which most tool schemas don't allow
+    body.tools = toolset.tools.map(({ function: fn }) => ({
+      type: 'function',
+      name: fn.name,
+      description: fn.description,
+      parameters: fn.parameters,
+      strict: false,
+    }))
+    const toolChoice = payload.tool_choice
+    if (toolChoice) {
+      switch (toolChoice.type) {
+        case 'auto': body.tool_choice = 'auto'; break
+        case 'any': body.tool_choice = 'required'; break
+        case 'none': body.tool_choice = 'none'; break
+        case 'tool': body.tool_choice = { type: 'function', name: toolset.upstreamName(toolChoice.name) }; break
+      }
+      if (toolChoice.disable_parallel_tool_use) body.parallel_tool_calls = false
+    }
+  }
+  return body
+}
+
+// A cut-off tool call still hit the limit
+function stopReasonFor(response, hasToolCall) {
+  if (response?.status === 'incomplete' && response.incomplete_details?.reason === 'max_output_tokens') return 'max_tokens'
+  return hasToolCall ? 'tool_use' : 'end_turn'
+}
+
+// Translate a Responses API response into an Anthropic message. Takes the options of
+// toAnthropicResponse, except `stopSequences`.
+function fromResponsesResponse(data, options = {}) {
+  const { toolset, clientName = toolset ? toolset.clientName : (name => name) } = options
+  const { inputTokens, toolInput = repairToolInput } = options
+  const model = options.model || data.model
+
+  const content = []
+  let generated = ''
+  let toolCalls = 0
+  for (const item of data.output || []) {
+    if (item.type === 'reasoning') {
+      const block = reasoningBlock(item)
+      if (block) content.push(block)
+      generated += reasoningText(item)
+    } else if (item.type === 'message') {
+      for (const part of item.content || []) {
+        const text = part.type === 'refusal' ? part.refusal : part.text
+        if (!text) continue
+        content.push({ type: 'text', text })
+        generated += text
+      }
+    } else if (item.type === 'function_call') {
+      const call = { id: item.call_id, name: clientName(item.name), arguments: item.arguments }
+      content.push({ type: 'tool_use', id: call.id, name: call.name, input: toolInput(call, toolCalls++) })
+    }
+  }
+
+  return {
+    content,
+    id: data.id ? data.id.replace(/^resp/, 'msg') : 'msg_' + Math.random().toString(36).substr(2, 24),
+    model,
+    role: 'assistant',
+    stop_reason: stopReasonFor(data, toolCalls > 0),
+    stop_sequence: null,
+    type: 'message',
+    usage: anthropicUsage(tokenCounts(data.usage, { inputTokens, text: generated, model })),
+  }
+}
+
+// The error a streamed event reports, in a shape the proxy's error mapping reads, or null
+function responsesStreamError(event) {
+  if (event.type === 'error') return event
+  if (event.type === 'response.failed') return event.response || event
+  return null
+}
+
+// Translate the typed events of a Responses API stream into Anthropic stream events.
+// Works like createStreamTranslator: push() takes each parsed event and resolves with
+// true once the response is complete, and finish() ends the message.
+function createResponsesStreamTranslator(options = {}) {
+  const {
+    model,
+    toolset,
+    clientName = toolset ? toolset.clientName : (name => name),
+    inputTokens = 0,
+    resolveToolInput = repairToolInput,
+    onEvent,
+  } = options
+
+  let started = false
+  let generated = ''
+  let response = null
+  let encounteredToolCall = false
+  const toolCalls = {} // key: output index, value: { id, name, arguments }
+
+  const start = () => {
+    started = true
+    onEvent('message_start', {
+      type: 'message_start',
+      message: {
+        id: 'msg_' + Math.random().toString(36).substr(2, 24),
+        type: 'message',
+        role: 'assistant',
+        model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        // The response reports usage when it's complete; message_delta corrects this
+        usage: { input_tokens: inputTokens, output_tokens: 0 },
+      }
+    })
+    onEvent('ping', { type: 'ping' })
+  }
+
+  // As in createStreamTranslator, one block is open at a time and tool call arguments are
+  // sent in one delta when their block closes. A thinking block stays open until its
+  // reasoning item is done, since the signature comes with the finished item.
+  let nextBlockIndex = 0
+  let openBlock = null
+
+  const closeOpenBlock = async () => {
+    const block = openBlock
+    openBlock = null
+    if (!block) return
+    if (block.type === 'thinking') {
+      onEvent('content_block_delta', {
+        type: 'content_block_delta',
+        index: block.index,
+        delta: { type: 'signature_delta', signature: block.signature || STATELESS_SIGNATURE }
+      })
+    }
+    if (block.type === 'tool_use') {
+      const input = await resolveToolInput(block.toolCall)
+      onEvent('content_block_delta', {
+        type: 'content_block_delta',
+        index: block.index,
+        delta: { type: 'input_json_delta', partial_json: JSON.stringify(input) }
+      })
+    }
+    onEvent('content_block_stop', { type: 'content_block_stop', index: block.index })
+  }
+
+  const startBlock = async (contentBlock, details = {}) => {
+    await closeOpenBlock()
+    openBlock = { index: nextBlockIndex++, type: contentBlock.type, ...details }
+    onEvent('content_block_start', {
+      type: 'content_block_start',
+      index: openBlock.index,
+      content_block: contentBlock
+    })
+  }
+
+  const sendThinking = async (event, text) => {
+    if (openBlock?.type !== 'thinking' || openBlock.outputIndex !== event.output_index) {
+      await startBlock({ type: 'thinking', thinking: '' }, { outputIndex: event.output_index, part: event.summary_index })
+    } else if (event.summary_index !== undefined && event.summary_index !== openBlock.part) {
+      // Summaries come in parts; keep them apart as in the non-streamed message
+      openBlock.part = event.summary_index
+      text = '\n\n' + text
+    }
+    generated += text
+    onEvent('content_block_delta', {
+      type: 'content_block_delta',
+      index: openBlock.index,
+      delta: { type: 'thinking_delta', thinking: text }
+    })
+  }
+
+  const sendText = async (text) => {
+    if (openBlock?.type !== 'text') await startBlock({ type: 'text', text: '' })
+    generated += text
+    onEvent('content_block_delta', {
+      type: 'content_block_delta',
+      index: openBlock.index,
+      delta: { type: 'text_delta', text }
+    })
+  }
+
+  // A finished reasoning item signs its open thinking block. Reasoning that wasn't
+  // streamed as deltas is sent as a whole block.
+  const finishReasoning = async (event) => {
+    if (openBlock?.type === 'thinking' && openBlock.outputIndex === event.output_index) {
+      openBlock.signature = reasoningSignature(event.item)
+      await closeOpenBlock()
+      return
+    }
+    const block = reasoningBlock(event.item)
+    if (!block) return
+    if (block.type === 'redacted_thinking') {
+      await startBlock(block)
+      await closeOpenBlock()
+      return
+    }
+    await sendThinking(event, block.thinking)
+    openBlock.signature = block.signature
+    await closeOpenBlock()
+  }
+
+  return {
+    async push(event) {
+      if (!started) start()
+      switch (event.type) {
+        case 'response.output_item.added':
+          if (event.item?.type === 'function_call') {
+            encounteredToolCall = true
+            const toolCall = { id: event.item.call_id, name: clientName(event.item.name), arguments: event.item.arguments || '' }
+            toolCalls[event.output_index] = toolCall
+            await startBlock({ type: 'tool_use', id: toolCall.id, name: toolCall.name, input: {} }, { toolCall })
+          }
+          break
+        case 'response.reasoning_summary_text.delta':
+        case 'response.reasoning_text.delta':
+          if (event.delta) await sendThinking(event, event.delta)
+          break
+        case 'response.output_text.delta':
+        case 'response.refusal.delta':
+          if (event.delta) await sendText(event.delta)
+          break
+        case 'response.function_call_arguments.delta':
+          if (toolCalls[event.output_index]) toolCalls[event.output_index].arguments += event.delta || ''
+          break
+        case 'response.function_call_arguments.done':
+          if (toolCalls[event.output_index]) toolCalls[event.output_index].arguments = event.arguments
+          break
+        case 'response.output_item.done':
+          if (event.item?.type === 'reasoning') {
+            await finishReasoning(event)
+          } else if (event.item?.type === 'function_call') {
+            const toolCall = toolCalls[event.output_index]
+            if (toolCall && !toolCall.arguments) toolCall.arguments = event.item.arguments || ''
+            if (toolCall && openBlock?.toolCall === toolCall) await closeOpenBlock()
+          } else if (openBlock?.type === 'text') {
+            await closeOpenBlock()
+          }
+          break
+        case 'response.completed':
+        case 'response.incomplete':
+          response = event.response
+          return true
+      }
+      return false
+    },
+
+    // Close the open block and end the message with its stop reason and usage
+    async finish() {
+      if (!started) start()
+      const counts = tokenCounts(response?.usage, { inputTokens, text: generated, model })
+      const stopReason = stopReasonFor(response, encounteredToolCall)
+
+      await closeOpenBlock()
+      onEvent('message_delta', {
+        type: 'message_delta',
+        delta: { stop_reason: stopReason, stop_sequence: null },
+        usage: anthropicUsage(counts)
+      })
+      onEvent('message_stop', { type: 'message_stop' })
+      return { stopReason, counts }
+    },
+  }
+}
+
+module.exports = {
+  toResponsesRequest,
+  fromResponsesResponse,
+  createResponsesStreamTranslator,
+  responsesStreamError,
+}
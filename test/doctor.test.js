@@ -0,0 +1,169 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Keep the credential lookup away from the real config dir
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kimi-doctor-test-'));
+process.env.KIMI_CODE_CONFIG_DIR = configDir;
+
+const { runDoctor } = require('../doctor.js');
+
+const MODEL = 'mock-model';
+
+// An OpenAI-compatible upstream. The key picks how it behaves: 'bad-key' is rejected,
+// 'no-tools' answers tool requests with text and 'no-model' leaves the model out of the list.
+function handleRequest(req, res) {
+  const key = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const json = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+  if (key === 'bad-key') {
+    return json(401, { error: { message: 'Invalid API Key', code: 'invalid_api_key' } });
+  }
+  if (req.method === 'GET' && req.url === '/v1/models') {
+    return json(200, { data: [{ id: key === 'no-model' ? 'other-model' : MODEL }] });
+  }
+
+  let text = '';
+  req.on('data', chunk => { text += chunk; });
+  req.on('end', () => {
+    const body = JSON.parse(text);
+    if (body.stream) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('data: {"choices":[{"delta":{"content":"1 2 3 4 5"}}]}\n\n');
+      res.write('data: {"choices":[{"delta":{},"finish_reason":"stop"}],"usage":{"prompt_tokens":9,"completion_tokens":5}}\n\n');
+      return res.end('data: [DONE]\n\n');
+    }
+    if (body.tool_choice && key !== 'no-tools') {
+      return json(200, {
+        choices: [{
+          message: {
+            role: 'assistant',
+            tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+          },
+          finish_reason: 'tool_calls'
+        }]
+      });
+    }
+    json(200, { model: body.model, choices: [{ message: { role: 'assistant', content: 'OK' }, finish_reason: 'stop' }] });
+  });
+}
+
+let upstream;
+let baseUrl;
+
+before(async () => {
+  upstream = http.createServer(handleRequest);
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${upstream.address().port}`;
+  fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({
+    profiles: { mock: { baseUrl, reasoningModel: MODEL, completionModel: MODEL } }
+  }));
+});
+
+after(() => {
+  upstream.close();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+function mockProfile() {
+  return { name: 'mock', baseUrl, reasoningModel: MODEL, completionModel: MODEL, credential: 'mock-api-key', headers: {} };
+}
+
+// Results of a doctor run by check name
+async function check(apiKey) {
+  const results = await runDoctor(mockProfile(), { apiKey, exec: 'true' });
+  return Object.fromEntries(results.map(result => [result.name, result]));
+}
+
+// Run the CLI and resolve with its exit code and output
+function runCli(args, env = {}) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [path.join(__dirname, '..', 'index.js'), ...args], {
+      env: { ...process.env, KIMI_CODE_CONFIG_DIR: configDir, ...env },
+      timeout: 30000
+    }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+  });
+}
+
+test('passes every check against a working upstream', async () => {
+  const results = await check('good-key');
+  assert.deepStrictEqual(
+    Object.values(results).map(result => [result.name, result.status]),
+    [
+      ['API key', 'pass'],
+      ['claude-code', 'skip'],
+      ['Completion', 'pass'],
+      ['Streaming', 'pass'],
+      ['Tool calling', 'pass'],
+      ['Models', 'pass']
+    ]
+  );
+  assert.match(results.Completion.detail, /replied "OK"/);
+  assert.match(results.Streaming.detail, /stop reason end_turn, 5 output tokens/);
+  assert.strictEqual(results['Tool calling'].detail, 'get_weather({"city":"Paris"})');
+});
+
+test('reports a rejected key with a hint', async () => {
+  const results = await check('bad-key');
+  for (const name of ['Completion', 'Streaming', 'Tool calling']) {
+    assert.strictEqual(results[name].status, 'fail');
+    assert.match(results[name].detail, /^401 authentication_error: Invalid API Key/);
+    assert.match(results[name].hint, /kimi auth set/);
+  }
+  assert.strictEqual(results.Models.status, 'warn');
+});
+
+test('fails tool calling when the model answers with text', async () => {
+  const results = await check('no-tools');
+  assert.strictEqual(results.Completion.status, 'pass');
+  assert.strictEqual(results['Tool calling'].status, 'fail');
+  assert.strictEqual(results['Tool calling'].detail, 'the model answered without calling the tool');
+});
+
+test('fails models the provider does not offer', async () => {
+  const results = await check('no-model');
+  assert.strictEqual(results.Models.status, 'fail');
+  assert.strictEqual(results.Models.detail, `not offered by the provider: ${MODEL}`);
+  assert.match(results.Models.hint, /Available: other-model/);
+});
+
+test('skips the request checks without a key', async () => {
+  const results = await runDoctor({ ...mockProfile(), credentialStore: 'file' }, { exec: 'true' });
+  assert.deepStrictEqual(
+    results.map(result => [result.name, result.status]),
+    [
+      ['API key', 'fail'],
+      ['claude-code', 'skip'],
+      ['Completion', 'skip'],
+      ['Streaming', 'skip'],
+      ['Tool calling', 'skip'],
+      ['Models', 'skip']
+    ]
+  );
+});
+
+test('kimi doctor exits 0 when every check passes', async () => {
+  const { code, stdout } = await runCli(['doctor', '--profile', 'mock', '--exec', 'true'], { MOCK_API_KEY: 'good-key' });
+  assert.strictEqual(code, 0, stdout);
+  assert.match(stdout, /All checks passed\./);
+});
+
+test('kimi doctor exits 1 when a check fails', async () => {
+  const { code, stdout } = await runCli(['doctor', '--profile', 'mock', '--exec', 'true'], { MOCK_API_KEY: 'bad-key' });
+  assert.strictEqual(code, 1, stdout);
+  assert.match(stdout, /3 checks failed\./);
+});
+
+test('kimi doctor reports an unknown profile as a failed check', async () => {
+  const { code, stdout, stderr } = await runCli(['doctor', '--profile', 'nope']);
+  assert.strictEqual(code, 1, stdout + stderr);
+  assert.match(stdout, /❌ Profile +Unknown profile "nope"/);
+  assert.match(stdout, /1 check failed\./);
+  assert.doesNotMatch(stdout + stderr, /^\s+at /m);
+});
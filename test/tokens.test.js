@@ -0,0 +1,44 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert')
+const http = require('http')
+const { countTokensUpstream } = require('../tokens.js')
+
+// A counting endpoint that answers `total_tokens: 42` on /fast and never answers otherwise
+let upstream
+let baseUrl
+
+before(async () => {
+  upstream = http.createServer((req, res) => {
+    if (req.url.startsWith('/fast/')) {
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ data: { total_tokens: 42 } }))
+    }
+  })
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve))
+  baseUrl = `http://127.0.0.1:${upstream.address().port}`
+})
+
+after(() => {
+  upstream.closeAllConnections()
+  upstream.close()
+})
+
+const request = { model: 'kimi-k2-0905-preview', messages: [{ role: 'user', content: 'Hello' }] }
+
+test('reads the count from the provider', async () => {
+  assert.strictEqual(await countTokensUpstream('moonshot', { ...request, baseUrl: `${baseUrl}/fast` }), 42)
+})
+
+test('gives up on a provider that does not answer', async () => {
+  await assert.rejects(
+    countTokensUpstream('moonshot', { ...request, baseUrl: `${baseUrl}/slow`, timeout: 100 }),
+    { name: 'TimeoutError' }
+  )
+})
+
+test('gives up when the signal aborts', async () => {
+  const controller = new AbortController()
+  const count = countTokensUpstream('moonshot', { ...request, baseUrl: `${baseUrl}/slow`, signal: controller.signal })
+  setTimeout(() => controller.abort(), 50)
+  await assert.rejects(count, { name: 'AbortError' })
+})
@@ -0,0 +1,53 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { buildTools, toOpenAIRequest, toAnthropicResponse, toAnthropicStream } = require('../translate.js')
+
+const request = {
+  model: 'claude-sonnet-4-20250514',
+  max_tokens: 256,
+  messages: [{ role: 'user', content: 'Read the file' }],
+  tools: [{ name: 'mcp__files.read', description: 'Read a file', input_schema: { type: 'object', properties: { path: { type: 'string' } } } }],
+}
+
+const toolCall = { id: 'call_1', type: 'function', function: { name: 'mcp__files_read', arguments: '{"path":"a.txt"}' } }
+
+// An OpenAI SSE body, one chunk per event
+async function* sse(chunks) {
+  for (const chunk of chunks) yield Buffer.from(`data: ${typeof chunk === 'string' ? chunk : JSON.stringify(chunk)}\n\n`)
+}
+
+test('sends tools under names the providers accept', () => {
+  const body = toOpenAIRequest(request, { toolset: buildTools(request) })
+  assert.deepStrictEqual(body.tools.map(tool => tool.function.name), ['mcp__files_read'])
+})
+
+test('maps a sanitized tool name back in a response', () => {
+  const message = toAnthropicResponse({
+    model: 'kimi',
+    choices: [{ message: { role: 'assistant', tool_calls: [toolCall] }, finish_reason: 'tool_calls' }],
+  }, { toolset: buildTools(request) })
+  assert.deepStrictEqual(message.content, [{ type: 'tool_use', id: 'call_1', name: 'mcp__files.read', input: { path: 'a.txt' } }])
+  assert.strictEqual(message.stop_reason, 'tool_use')
+})
+
+test('maps a sanitized tool name back in a stream', async () => {
+  let text = ''
+  const body = sse([
+    { choices: [{ delta: { tool_calls: [{ index: 0, ...toolCall }] } }] },
+    { choices: [{ delta: {}, finish_reason: 'tool_calls' }] },
+    '[DONE]',
+  ])
+  for await (const part of toAnthropicStream(body, { model: 'kimi', toolset: buildTools(request) })) text += part
+  const blocks = text.split('\n')
+    .filter(line => line.startsWith('data: '))
+    .map(line => JSON.parse(line.slice(6)))
+    .filter(event => event.type === 'content_block_start')
+  assert.deepStrictEqual(blocks.map(event => event.content_block.name), ['mcp__files.read'])
+})
+
+test('the package entry point exports the library without running the CLI', () => {
+  const library = require('..')
+  assert.strictEqual(library.toOpenAIRequest, toOpenAIRequest)
+  assert.strictEqual(typeof library.start, 'function')
+  assert.strictEqual(library.program, undefined)
+})
@@ -0,0 +1,27 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kimi-usage-test-'));
+process.env.KIMI_CODE_CONFIG_DIR = configDir;
+
+const { HISTORY_FILE, createUsageTracker, saveSession, formatHistoryReport } = require('../usage.js');
+
+after(() => {
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test('skips a corrupt line in the usage history', () => {
+  const tracker = createUsageTracker();
+  tracker.record({ profile: 'groq', model: 'moonshotai/kimi-k2-instruct' }, { inputTokens: 1000, outputTokens: 200 });
+  saveSession(tracker.summary());
+  // A session cut off mid-write, followed by one saved by the next run
+  fs.appendFileSync(HISTORY_FILE, '{"startedAt":"2026-01-01T00:00:00.000Z","entries":[{"profile":"gr\n');
+  saveSession(tracker.summary());
+
+  const report = formatHistoryReport({ days: 30 });
+  assert.match(report, /^Total +2 +2,000 +400 +\$0\.0032$/m);
+  assert.match(report, /\(Skipped 1 unreadable line in .*usage\.jsonl\)$/);
+});
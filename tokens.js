@@ -0,0 +1,108 @@
+// Token estimation for the proxy.
+//
+// Upstream providers don't expose the tokenizer for every model, so the default is a
+// per-family estimate tuned on mixed English, code and JSON. Providers that offer a
+// counting endpoint can be used instead via `countTokensUpstream`.
+
+// Average characters per token for each model family. CJK text is counted separately
+// because those tokenizers spend roughly one token per one or two characters.
+const FAMILIES = [
+  { name: 'kimi', pattern: /kimi|moonshot/i, charsPerToken: 3.6, cjkCharsPerToken: 1.5 },
+  { name: 'qwen', pattern: /qwen/i, charsPerToken: 3.5, cjkCharsPerToken: 1.4 },
+  { name: 'deepseek', pattern: /deepseek/i, charsPerToken: 3.5, cjkCharsPerToken: 1.4 },
+  { name: 'llama', pattern: /llama/i, charsPerToken: 3.8, cjkCharsPerToken: 1 },
+  { name: 'gpt', pattern: /gpt|\bo\d/i, charsPerToken: 4, cjkCharsPerToken: 1 },
+]
+const DEFAULT_FAMILY = { name: 'default', charsPerToken: 3.5, cjkCharsPerToken: 1 }
+
+// Chat templates add role markers and separators around every message.
+const MESSAGE_OVERHEAD = 4
+// Flat cost for an image part; providers bill anywhere from a few hundred to ~1.5k tokens.
+const IMAGE_TOKENS = 1000
+
+const CJK_PATTERN = /[\u3000-\u303f\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uff00-\uffef]/g
+
+function familyFor(model) {
+  return FAMILIES.find(family => family.pattern.test(model || '')) || DEFAULT_FAMILY
+}
+
+function estimateTextTokens(text, model) {
+  if (!text) return 0
+  const family = familyFor(model)
+  const cjk = (text.match(CJK_PATTERN) || []).length
+  return Math.ceil(cjk / family.cjkCharsPerToken + (text.length - cjk) / family.charsPerToken)
+}
+
+function estimateContentTokens(content, model) {
+  if (typeof content === 'string') return estimateTextTokens(content, model)
+  if (!Array.isArray(content)) return 0
+  return content.reduce((acc, part) => {
+    if (part.type === 'image_url') return acc + IMAGE_TOKENS
+    return acc + estimateTextTokens(part.text, model)
+  }, 0)
+}
+
+// Estimate the prompt size of an OpenAI chat payload ({ messages, tools }).
+function estimateTokens({ messages = [], tools = [] }, model) {
+  let total = 0
+  messages.forEach(msg => {
+    total += MESSAGE_OVERHEAD + estimateContentTokens(msg.content, model)
+    ;(msg.tool_calls || []).forEach(toolCall => {
+      total += estimateTextTokens(toolCall.function.name, model)
+      total += estimateTextTokens(toolCall.function.arguments, model)
+    })
+  })
+  tools.forEach(tool => {
+    total += estimateTextTokens(JSON.stringify(tool.function), model)
+  })
+  return total
+}
+
+// How long to wait for a count before callers fall back to an estimate
+const COUNT_TIMEOUT = 5000
+
+// Ask the provider to count tokens. Supported counters:
+// - moonshot: POST /v1/tokenizers/estimate-token-count
+// - vllm: POST /tokenize
+// Returns null when the counter is unknown so callers can fall back to an estimate.
+// Rejects when `signal` aborts or no count arrives within `timeout` ms.
+async function countTokensUpstream(counter, { baseUrl, headers, model, messages, tools, signal, timeout = COUNT_TIMEOUT }) {
+  let url
+  let body
+  let read
+  switch (counter) {
+    case 'moonshot':
+      url = `${baseUrl}/v1/tokenizers/estimate-token-count`
+      body = { model, messages }
+      read = data => data.data?.total_tokens
+      break
+    case 'vllm':
+      url = `${baseUrl}/tokenize`
+      body = { model, messages, tools }
+      read = data => data.count
+      break
+    default:
+      return null
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(timeout)]) : AbortSignal.timeout(timeout),
+  })
+  if (!response.ok) {
+    throw new Error(`Token counting failed with status ${response.status}: ${await response.text()}`)
+  }
+  const count = read(await response.json())
+  if (typeof count !== 'number') {
+    throw new Error('Token counting response did not include a count')
+  }
+  return count
+}
+
+module.exports = {
+  estimateTextTokens,
+  estimateTokens,
+  countTokensUpstream,
+}
@@ -0,0 +1,231 @@
+// Parsing and validation of tool call arguments.
+//
+// Kimi occasionally emits arguments that aren't quite JSON: trailing commas, single
+// quotes, Python literals, unquoted keys, a code fence around the object, or an object
+// cut off at max_tokens. claude-code needs a parseable `tool_use.input`, so arguments
+// that fail JSON.parse go through a lenient parser that accepts those mistakes and
+// closes whatever was left open.
+
+// Lenient JSON parser. Throws a SyntaxError for input it can't make sense of.
+function parseLenient(text) {
+  let i = 0
+
+  const fail = (message) => {
+    throw new SyntaxError(`${message} at position ${i}`)
+  }
+  const skipWhitespace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++
+  }
+  const skipSeparators = () => {
+    while (i < text.length && /[\s,]/.test(text[i])) i++
+  }
+
+  const ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' }
+
+  // A string in double or single quotes. A string cut off by the end of the input ends there.
+  const parseString = () => {
+    const quote = text[i++]
+    let result = ''
+    while (i < text.length && text[i] !== quote) {
+      if (text[i] !== '\\') {
+        result += text[i++]
+        continue
+      }
+      const escaped = text[i + 1]
+      if (escaped === undefined) {
+        i++
+        break
+      }
+      if (escaped === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 2, i + 6))) {
+        result += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16))
+        i += 6
+        continue
+      }
+      result += ESCAPES[escaped] || escaped
+      i += 2
+    }
+    i++
+    return result
+  }
+
+  const LITERALS = { true: true, True: true, false: false, False: false, null: null, None: null }
+
+  const parseLiteral = () => {
+    const start = i
+    while (i < text.length && !/[\s,:\]}]/.test(text[i])) i++
+    const token = text.slice(start, i)
+    if (token in LITERALS) return LITERALS[token]
+    if (/^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(token)) return Number(token)
+    // A literal cut off by the end of the input
+    if (i === text.length) {
+      const literal = Object.keys(LITERALS).find(name => token && name.startsWith(token))
+      if (literal) return LITERALS[literal]
+      if (/^-?\d+\.?\d*[eE]?[+-]?$/.test(token)) return parseFloat(token)
+    }
+    return fail(`Unexpected token ${JSON.stringify(token || text[i])}`)
+  }
+
+  // `undefined` marks the end of the input where a value was expected
+  const parseValue = () => {
+    skipWhitespace()
+    if (i >= text.length) return undefined
+    const ch = text[i]
+    if (ch === '{') return parseObject()
+    if (ch === '[') return parseArray()
+    if (ch === '"' || ch === "'") return parseString()
+    return parseLiteral()
+  }
+
+  const parseKey = () => {
+    if (text[i] === '"' || text[i] === "'") return parseString()
+    const start = i
+    while (i < text.length && /[\w$-]/.test(text[i])) i++
+    if (i === start) fail(`Unexpected ${JSON.stringify(text[i])} in object`)
+    return text.slice(start, i)
+  }
+
+  const parseObject = () => {
+    i++
+    const result = {}
+    for (;;) {
+      skipSeparators()
+      if (i >= text.length) return result
+      if (text[i] === '}') {
+        i++
+        return result
+      }
+      const key = parseKey()
+      skipWhitespace()
+      if (i >= text.length) return result
+      if (text[i] !== ':') fail('Expected ":"')
+      i++
+      const value = parseValue()
+      if (value === undefined) return result
+      result[key] = value
+    }
+  }
+
+  const parseArray = () => {
+    i++
+    const result = []
+    for (;;) {
+      skipSeparators()
+      if (i >= text.length) return result
+      if (text[i] === ']') {
+        i++
+        return result
+      }
+      const value = parseValue()
+      if (value === undefined) return result
+      result.push(value)
+    }
+  }
+
+  return parseValue()
+}
+
+// Parse tool call arguments. Returns { value, repaired } or throws when the
+// arguments aren't an object even after repair.
+function parseToolArguments(text) {
+  // Some models send nothing at all for tools without parameters
+  if (!text || !text.trim()) return { value: {}, repaired: false }
+
+  try {
+    const value = JSON.parse(text)
+    if (value && typeof value === 'object' && !Array.isArray(value)) return { value, repaired: false }
+  } catch (error) {
+    // Repaired below
+  }
+
+  let source = text.trim()
+  const fenced = source.match(/^```\w*\s*([\s\S]*?)(```|$)/)
+  if (fenced) source = fenced[1]
+  const start = source.indexOf('{')
+  if (start === -1) throw new SyntaxError('Tool arguments are not a JSON object')
+
+  const value = parseLenient(source.slice(start))
+  return { value, repaired: true }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number'
+  return typeof value
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value)
+  return actual === type || (type === 'number' && actual === 'integer')
+}
+
+// Check a value against the parts of JSON Schema that tool input schemas use: type,
+// enum, const, required, properties, additionalProperties, items and anyOf/oneOf.
+// Returns a list of problems, empty when the value is valid.
+function validateSchema(value, schema, path = 'input') {
+  if (!schema || typeof schema !== 'object') return []
+
+  const alternatives = schema.anyOf || schema.oneOf
+  if (alternatives) {
+    const valid = alternatives.some(alternative => validateSchema(value, alternative, path).length === 0)
+    if (!valid) return [`${path} does not match any of the allowed schemas`]
+  }
+  if (schema.allOf) {
+    const errors = schema.allOf.flatMap(part => validateSchema(value, part, path))
+    if (errors.length > 0) return errors
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type)
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} must be ${types.join(' or ')}, got ${typeOf(value)}`]
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    return [`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`]
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    return [`${path} must be ${JSON.stringify(schema.const)}`]
+  }
+
+  const errors = []
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {}
+    for (const name of schema.required || []) {
+      if (!(name in value)) errors.push(`${path}.${name} is required`)
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...validateSchema(propertyValue, properties[name], `${path}.${name}`))
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name} is not an allowed property`)
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(propertyValue, schema.additionalProperties, `${path}.${name}`))
+      }
+    }
+  }
+  if (typeOf(value) === 'array' && schema.items && typeof schema.items === 'object') {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`))
+    })
+  }
+  return errors
+}
+
+// Parse and validate the arguments of a tool call against the tool's input_schema.
+// Always returns a usable `input`; `errors` lists what was wrong with it, if anything.
+function checkToolArguments(text, schema) {
+  let parsed
+  try {
+    parsed = parseToolArguments(text)
+  } catch (error) {
+    return { input: {}, repaired: true, errors: [`arguments are not valid JSON: ${error.message}`] }
+  }
+  return { input: parsed.value, repaired: parsed.repaired, errors: validateSchema(parsed.value, schema) }
+}
+
+module.exports = {
+  parseToolArguments,
+  validateSchema,
+  checkToolArguments,
+}
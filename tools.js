@@ -0,0 +1,182 @@
+// Tool definition transforms.
+//
+// Providers reject different parts of the JSON Schemas claude-code sends as tool input
+// schemas, and some limit tool names and descriptions. Each profile picks an ordered
+// list of transforms in its `tools` settings:
+//
+//   { "tools": { "transforms": ["inlineRefs", "stripKeywords", "sanitizeNames"] } }
+//
+// Schema transforms rewrite each tool's input schema; tool transforms rewrite the tool
+// definitions as a whole. Tools renamed by `sanitizeNames` are mapped back to their
+// original names in the tool calls returned to the client.
+
+const DEFAULT_TRANSFORMS = ['inlineRefs', 'stripKeywords', 'dropUriFormat', 'sanitizeNames']
+
+const DEFAULT_OPTIONS = {
+  // Keywords removed by stripKeywords
+  stripKeywords: ['$schema', '$id', '$comment'],
+  // Used by sanitizeNames; OpenAI allows 64 characters
+  maxNameLength: 64,
+  // Used by truncateDescriptions
+  maxDescriptionLength: 1024,
+  // Used by limitAnyOfDepth
+  maxAnyOfDepth: 2,
+}
+
+// Keywords whose values hold subschemas: maps of them, lists of them, and single ones
+const SCHEMA_MAPS = ['properties', 'patternProperties', '$defs', 'definitions']
+const SCHEMA_LISTS = ['anyOf', 'allOf', 'oneOf', 'prefixItems']
+const SCHEMA_VALUES = ['items', 'additionalProperties', 'not', 'if', 'then', 'else', 'contains']
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// Copy a schema with `fn` applied to each of its direct subschemas.
+function mapChildren(schema, fn) {
+  const result = { ...schema }
+  SCHEMA_MAPS.filter(key => isObject(schema[key])).forEach(key => {
+    result[key] = Object.fromEntries(Object.entries(schema[key]).map(([name, child]) => [name, fn(child)]))
+  })
+  SCHEMA_LISTS.filter(key => Array.isArray(schema[key])).forEach(key => {
+    result[key] = schema[key].map(fn)
+  })
+  SCHEMA_VALUES.filter(key => isObject(schema[key])).forEach(key => {
+    result[key] = fn(schema[key])
+  })
+  if (Array.isArray(schema.items)) result.items = schema.items.map(fn)
+  return result
+}
+
+// Copy a schema with `fn` applied to every subschema, innermost first.
+function mapSchema(schema, fn) {
+  if (!isObject(schema)) return schema
+  return fn(mapChildren(schema, child => mapSchema(child, fn)))
+}
+
+// Replace local $refs (#/$defs/... and #/definitions/...) with the definitions they
+// point to. Recursive and unresolvable refs become unconstrained schemas.
+function inlineRefs(schema) {
+  if (!isObject(schema)) return schema
+  const definitions = { ...schema.definitions, ...schema.$defs }
+
+  const resolve = (node, seen) => {
+    if (!isObject(node)) return node
+    if (typeof node.$ref === 'string') {
+      const { $ref, ...rest } = node
+      const match = $ref.match(/^#\/(?:\$defs|definitions)\/(.+)$/)
+      const name = match && decodeURIComponent(match[1]).replace(/~1/g, '/').replace(/~0/g, '~')
+      if (!name || !definitions[name] || seen.includes(name)) return rest
+      return resolve({ ...definitions[name], ...rest }, [...seen, name])
+    }
+    const result = mapChildren(node, child => resolve(child, seen))
+    delete result.$defs
+    delete result.definitions
+    return result
+  }
+
+  return resolve(schema, [])
+}
+
+function limitAnyOfDepth(schema, maxDepth, depth = 0) {
+  if (!isObject(schema)) return schema
+  const nested = Array.isArray(schema.anyOf) || Array.isArray(schema.oneOf)
+  if (nested && depth >= maxDepth) {
+    // Too deep for the provider: accept any value here, keeping the description
+    const { anyOf, oneOf, ...rest } = schema
+    return rest
+  }
+  return mapChildren(schema, child => limitAnyOfDepth(child, maxDepth, depth + (nested ? 1 : 0)))
+}
+
+// Transforms of a single input schema: (schema, options) => schema
+const SCHEMA_TRANSFORMS = {
+  inlineRefs: schema => inlineRefs(schema),
+  stripKeywords: (schema, options) => mapSchema(schema, node => {
+    options.stripKeywords.forEach(keyword => delete node[keyword])
+    return node
+  }),
+  dropUriFormat: schema => mapSchema(schema, node => {
+    if (node.type === 'string' && node.format === 'uri') delete node.format
+    return node
+  }),
+  // For providers whose strict mode rejects closed objects
+  dropAdditionalProperties: schema => mapSchema(schema, node => {
+    if (node.additionalProperties === false) delete node.additionalProperties
+    return node
+  }),
+  constToEnum: schema => mapSchema(schema, node => {
+    if ('const' in node) {
+      node.enum = [node.const]
+      delete node.const
+    }
+    return node
+  }),
+  limitAnyOfDepth: (schema, options) => limitAnyOfDepth(schema, options.maxAnyOfDepth),
+}
+
+// Transforms of the whole list of tools: (tools, options) => tools, where each tool is
+// { name, description, parameters, original } and `original` is the client's name.
+const TOOL_TRANSFORMS = {
+  // Make names match ^[a-zA-Z0-9_-]{1,maxNameLength}$, keeping them unique
+  sanitizeNames: (tools, options) => {
+    const used = new Set()
+    return tools.map(tool => {
+      const base = tool.name.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, options.maxNameLength) || 'tool'
+      let name = base
+      for (let suffix = 2; used.has(name); suffix++) {
+        name = base.slice(0, options.maxNameLength - String(suffix).length - 1) + `_${suffix}`
+      }
+      used.add(name)
+      return { ...tool, name }
+    })
+  },
+  truncateDescriptions: (tools, options) => tools.map(tool => {
+    if (!tool.description || tool.description.length <= options.maxDescriptionLength) return tool
+    return { ...tool, description: tool.description.slice(0, options.maxDescriptionLength - 3) + '...' }
+  }),
+}
+
+const TRANSFORM_NAMES = [...Object.keys(SCHEMA_TRANSFORMS), ...Object.keys(TOOL_TRANSFORMS)]
+
+// Create the tool pipeline for a profile's `tools` settings. The returned function turns
+// Anthropic tool definitions into OpenAI ones and returns { tools, upstreamName,
+// clientName }, the last two mapping tool names between the client and the upstream.
+function createToolPipeline(settings = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...settings }
+  const transforms = settings.transforms || DEFAULT_TRANSFORMS
+  const unknown = transforms.filter(name => !TRANSFORM_NAMES.includes(name))
+  if (unknown.length > 0) {
+    throw new Error(`Unknown tool transform ${unknown.join(', ')}. Available: ${TRANSFORM_NAMES.join(', ')}`)
+  }
+
+  return (anthropicTools = []) => {
+    let tools = anthropicTools.map(tool => ({
+      name: tool.name,
+      original: tool.name,
+      description: tool.description,
+      parameters: tool.input_schema,
+    }))
+    transforms.forEach(name => {
+      if (SCHEMA_TRANSFORMS[name]) {
+        tools = tools.map(tool => ({ ...tool, parameters: SCHEMA_TRANSFORMS[name](tool.parameters, options) }))
+      } else {
+        tools = TOOL_TRANSFORMS[name](tools, options)
+      }
+    })
+
+    const upstreamNames = new Map(tools.map(tool => [tool.original, tool.name]))
+    const clientNames = new Map(tools.map(tool => [tool.name, tool.original]))
+    return {
+      tools: tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters },
+      })),
+      upstreamName: name => upstreamNames.get(name) || name,
+      clientName: name => clientNames.get(name) || name,
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_TRANSFORMS,
+  createToolPipeline,
+}
@@ -0,0 +1,704 @@
+// Translation between the Anthropic Messages API and OpenAI chat completions. The
+// Responses API has its own translation in responses.js.
+//
+// Nothing here does I/O or keeps state between calls, so the translator can be used
+// without the proxy, e.g. in another gateway:
+//
+//   const { toOpenAIRequest, toAnthropicResponse, toAnthropicStream } = require('kimi-code/translate.js')
+//
+// The proxy adds what needs configuration or the network on top: model selection,
+// output and context limits, retries and fallbacks, re-asking for tool calls and usage.
+
+const { TextDecoder } = require('util')
+const { estimateTextTokens } = require('./tokens.js')
+const { readUsage } = require('./usage.js')
+const { checkToolArguments } = require('./toolargs.js')
+const { createToolPipeline } = require('./tools.js')
+
+// Turn an Anthropic image source into something usable as an OpenAI image_url.
+function imageSourceToUrl(source) {
+  if (!source) return null
+  if (source.type === 'base64') return `data:${source.media_type};base64,${source.data}`
+  if (source.type === 'url') return source.url
+  return null
+}
+
+// Anthropic clients require a signature on thinking blocks and send it back unchanged.
+// Chat completions upstreams have nothing to verify, so it only marks where the block came from.
+const THINKING_SIGNATURE = Buffer.from('kimi-code:chat-completions').toString('base64')
+
+function mapStopReason(finishReason) {
+  switch (finishReason) {
+    case 'tool_calls': return 'tool_use'
+    case 'stop': return 'end_turn'
+    case 'length': return 'max_tokens'
+    default: return 'end_turn'
+  }
+}
+
+// Build an error body in the shape Anthropic clients expect.
+function anthropicError(type, message) {
+  return {
+    type: 'error',
+    error: { type, message }
+  }
+}
+
+// HTTP status Anthropic uses for each error type.
+const ERROR_STATUS = {
+  invalid_request_error: 400,
+  authentication_error: 401,
+  permission_error: 403,
+  not_found_error: 404,
+  request_too_large: 413,
+  rate_limit_error: 429,
+  api_error: 500,
+  overloaded_error: 529,
+}
+
+function errorTypeForStatus(status) {
+  switch (status) {
+    case 400: return 'invalid_request_error'
+    case 401: return 'authentication_error'
+    case 403: return 'permission_error'
+    case 404: return 'not_found_error'
+    case 413: return 'request_too_large'
+    case 429: return 'rate_limit_error'
+    case 502:
+    case 503:
+    case 529: return 'overloaded_error'
+    default: return status >= 400 && status < 500 ? 'invalid_request_error' : 'api_error'
+  }
+}
+
+// OpenAI-compatible providers describe errors with free-form `code`/`type` strings.
+function errorTypeForCode(code) {
+  if (!code) return null
+  const value = String(code).toLowerCase()
+  if (value.includes('rate_limit')) return 'rate_limit_error'
+  if (value.includes('overloaded') || value.includes('unavailable')) return 'overloaded_error'
+  if (value.includes('api_key') || value.includes('authentication') || value === 'unauthorized') return 'authentication_error'
+  if (value.includes('permission') || value === 'forbidden') return 'permission_error'
+  if (value.includes('not_found')) return 'not_found_error'
+  if (value.includes('context_length') || value.includes('invalid_request')) return 'invalid_request_error'
+  if (value.includes('server_error') || value.includes('internal_error')) return 'api_error'
+  return null
+}
+
+// Pull a message and code out of an upstream error body, whatever its shape.
+function parseUpstreamError(details) {
+  let body = details
+  if (typeof details === 'string') {
+    try {
+      body = JSON.parse(details)
+    } catch (error) {
+      return { message: details }
+    }
+  }
+  const error = body && body.error !== undefined ? body.error : body
+  if (typeof error === 'string') return { message: error }
+  if (!error || typeof error !== 'object') return {}
+  return {
+    message: error.message,
+    code: error.code,
+    type: error.type,
+    status: error.status_code || error.status,
+  }
+}
+
+// How providers word "the prompt doesn't fit the context window"
+const CONTEXT_ERROR_PATTERN = /context.length|context window|maximum context|prompt is too long|too many tokens/i
+
+// Convert an upstream failure (HTTP status and/or error body) into an Anthropic error reply.
+function mapUpstreamError(status, details) {
+  const parsed = parseUpstreamError(details)
+  const upstreamStatus = status || (Number.isInteger(parsed.status) ? parsed.status : null)
+  const type = errorTypeForCode(parsed.code) ||
+    errorTypeForCode(parsed.type) ||
+    (upstreamStatus ? errorTypeForStatus(upstreamStatus) : 'api_error')
+  let message = parsed.message ||
+    (upstreamStatus ? `Upstream request failed with status ${upstreamStatus}` : 'Upstream request failed')
+  // claude-code compacts the conversation when it sees "prompt is too long"
+  if (type === 'invalid_request_error' && CONTEXT_ERROR_PATTERN.test(message) && !message.startsWith('prompt is too long')) {
+    message = `prompt is too long: ${message}`
+  }
+  return {
+    status: ERROR_STATUS[type],
+    body: anthropicError(type, message)
+  }
+}
+
+// Helper to normalize a message's content.
+// If content is a string, return it directly.
+// If it's an array of text blocks, join them.
+// If it also holds images, return OpenAI content parts in their original order.
+function normalizeContent(content) {
+  if (typeof content === 'string') return content
+  if (Array.isArray(content)) {
+    const parts = []
+    content.forEach(item => {
+      if (item.type === 'image') {
+        const url = imageSourceToUrl(item.source)
+        if (url) parts.push({ type: 'image_url', image_url: { url } })
+      } else if (typeof item.text === 'string') {
+        parts.push({ type: 'text', text: item.text })
+      }
+    })
+    if (parts.some(part => part.type === 'image_url')) return parts
+    return parts.map(part => part.text).join(' ')
+  }
+  return null
+}
+
+// Flatten a tool_result block into the text of an OpenAI tool message. Tool messages
+// can only carry text, so images are returned separately.
+function flattenToolResult(toolResult) {
+  const blocks = typeof toolResult.content === 'string'
+    ? [{ type: 'text', text: toolResult.content }]
+    : toolResult.content || []
+  const texts = []
+  const images = []
+  blocks.forEach(block => {
+    if (block.type === 'image') {
+      const url = imageSourceToUrl(block.source)
+      if (url) images.push({ type: 'image_url', image_url: { url } })
+    } else if (typeof block.text === 'string') {
+      texts.push(block.text)
+    }
+  })
+  let text = texts.join('\n')
+  if (toolResult.is_error) text = `Error: ${text || 'the tool call failed'}`
+  return { text, images }
+}
+
+// Build messages array for the OpenAI payload. Images returned by tools are sent in a
+// user message after the tool messages when `vision` is set, and replaced by a note
+// otherwise.
+function buildMessages(payload, { vision = false } = {}) {
+  // Start with system messages if provided, as a string or text blocks.
+  const messages = []
+  if (typeof payload.system === 'string' && payload.system) {
+    messages.push({ role: 'system', content: payload.system })
+  } else if (Array.isArray(payload.system)) {
+    payload.system.forEach(sysMsg => {
+      const normalized = normalizeContent(sysMsg.text || sysMsg.content)
+      if (normalized) {
+        messages.push({
+          role: 'system',
+          content: normalized
+        })
+      }
+    })
+  }
+  // Then add user (or other) messages.
+  if (payload.messages && Array.isArray(payload.messages)) {
+    payload.messages.forEach(msg => {
+      const toolCalls = (Array.isArray(msg.content) ? msg.content : []).filter(item => item.type === 'tool_use').map(toolCall => ({
+        id: toolCall.id,
+        type: 'function',
+        function: {
+          name: toolCall.name,
+          arguments: JSON.stringify(toolCall.input),
+        }
+      }))
+      // Tool messages have to follow the assistant message with the tool calls directly,
+      // so they go before any other content of the same message.
+      const toolImages = []
+      const toolResults = (Array.isArray(msg.content) ? msg.content : []).filter(item => item.type === 'tool_result')
+      toolResults.forEach(toolResult => {
+        const { text, images } = flattenToolResult(toolResult)
+        const notes = []
+        if (images.length > 0 && vision) {
+          toolImages.push({ type: 'text', text: `Image returned by tool call ${toolResult.tool_use_id}:` }, ...images)
+          notes.push(`[${images.length} image(s) attached in the next message]`)
+        } else if (images.length > 0) {
+          notes.push(`[${images.length} image(s) omitted: the model does not support image input]`)
+        }
+        messages.push({
+          role: 'tool',
+          content: [text, ...notes].filter(Boolean).join('\n'),
+          tool_call_id: toolResult.tool_use_id,
+        })
+      })
+
+      const newMsg = { role: msg.role }
+      let normalized = normalizeContent(msg.content)
+      if (toolImages.length > 0) {
+        const parts = typeof normalized === 'string' ? [{ type: 'text', text: normalized }] : normalized || []
+        normalized = [...toolImages, ...parts.filter(part => part.type !== 'text' || part.text)]
+      }
+      if (normalized) newMsg.content = normalized
+      if (toolCalls.length > 0) newMsg.tool_calls = toolCalls
+      if (newMsg.content || newMsg.tool_calls) messages.push(newMsg)
+    })
+  }
+  return messages
+}
+
+// Build the OpenAI tools for a request with a tool pipeline from tools.js, leaving out
+// tools whose names match a `deny` RegExp. Returns the tools and the pipeline's name
+// mapping: { tools, upstreamName, clientName }.
+function buildTools(payload, { deny = [], pipeline = createToolPipeline() } = {}) {
+  const tools = (payload.tools || []).filter(tool => !deny.some(regex => regex.test(tool.name)))
+  return pipeline(tools)
+}
+
+// Rename the tool calls in assistant messages to the names the upstream knows the tools by.
+function renameToolCalls(messages, upstreamName) {
+  return messages.map(message => {
+    if (!message.tool_calls) return message
+    return {
+      ...message,
+      tool_calls: message.tool_calls.map(call => ({
+        ...call,
+        function: { ...call.function, name: upstreamName(call.function.name) },
+      })),
+    }
+  })
+}
+
+// Translate Anthropic sampling and control parameters into their OpenAI equivalents.
+// `toolset` is the result of buildTools.
+function buildControlParams(payload, toolset) {
+  const params = {}
+  if (payload.top_p !== undefined) params.top_p = payload.top_p
+  if (payload.top_k !== undefined) params.top_k = payload.top_k
+  if (Array.isArray(payload.stop_sequences) && payload.stop_sequences.length > 0) {
+    params.stop = payload.stop_sequences
+  }
+  if (payload.metadata?.user_id) params.user = payload.metadata.user_id
+
+  const toolChoice = payload.tool_choice
+  if (toolset.tools.length > 0 && toolChoice) {
+    switch (toolChoice.type) {
+      case 'auto': params.tool_choice = 'auto'; break
+      case 'any': params.tool_choice = 'required'; break
+      case 'none': params.tool_choice = 'none'; break
+      case 'tool':
+        params.tool_choice = { type: 'function', function: { name: toolset.upstreamName(toolChoice.name) } }
+        break
+    }
+    if (toolChoice.disable_parallel_tool_use) params.parallel_tool_calls = false
+  }
+  return params
+}
+
+// Translate an Anthropic Messages request into an OpenAI chat completions request.
+// Options:
+// - model: the upstream model (default: the requested one)
+// - maxTokens: upper limit for max_tokens
+// - vision: send images on, instead of replacing them with a note (default: true)
+// - toolset: the result of buildTools, when tools need a deny list or another pipeline
+// - messages: OpenAI messages to send instead of translating the request's, e.g. after
+//   trimming them to fit the context window
+function toOpenAIRequest(payload, options = {}) {
+  const { model = payload.model, maxTokens, vision = true, toolset = buildTools(payload) } = options
+  const messages = options.messages || buildMessages(payload, { vision })
+  const stream = payload.stream === true
+
+  const body = {
+    model,
+    messages: renameToolCalls(messages, toolset.upstreamName),
+    temperature: payload.temperature !== undefined ? payload.temperature : 1,
+    stream,
+    ...(payload.max_tokens || maxTokens ? { max_tokens: Math.min(payload.max_tokens || maxTokens, maxTokens || Infinity) } : {}),
+    ...buildControlParams(payload, toolset),
+    // Without it most providers leave usage out of streams
+    ...(stream ? { stream_options: { include_usage: true } } : {}),
+  }
+  if (toolset.tools.length > 0) body.tools = toolset.tools
+  return body
+}
+
+// vLLM reports the stop string that ended generation as `stop_reason`, SGLang as
+// `matched_stop`. Other providers don't say which stop sequence fired.
+function matchedStopSequence(choice, stopSequences = []) {
+  const matched = choice.stop_reason !== undefined ? choice.stop_reason : choice.matched_stop
+  return typeof matched === 'string' && stopSequences.includes(matched) ? matched : null
+}
+
+// Usage in a streamed chunk. Most providers send it in a final chunk when asked with
+// `stream_options`, Groq in `x_groq`, Moonshot on the choice.
+function streamUsage(chunk) {
+  return chunk.usage || chunk.x_groq?.usage || chunk.choices?.[0]?.usage || null
+}
+
+// Token counts in Anthropic's shape, where input_tokens doesn't include cache reads
+function anthropicUsage(counts) {
+  return {
+    input_tokens: counts.inputTokens - (counts.cachedInputTokens || 0),
+    output_tokens: counts.outputTokens,
+    cache_read_input_tokens: counts.cachedInputTokens || 0,
+  }
+}
+
+// Token counts (see usage.js) from an OpenAI usage object, or estimated from the
+// generated text when the provider didn't report usage
+function tokenCounts(usage, { inputTokens = 0, text = '', model } = {}) {
+  if (usage) return readUsage(usage)
+  return { inputTokens, outputTokens: estimateTextTokens(text, model), estimated: true }
+}
+
+// The input for a tool call's arguments, repaired if they aren't quite JSON
+const repairToolInput = toolCall => checkToolArguments(toolCall.arguments).input
+
+// Translate an OpenAI chat completion into an Anthropic message. Options:
+// - model: reported as the message's model (default: the completion's)
+// - stopSequences: the request's stop_sequences, to report which one ended the message
+// - toolset: the result of buildTools the request was translated with, to give tool calls
+//   the names the client declared the tools under
+// - clientName: maps upstream tool names back to the client's (default: the toolset's)
+// - inputTokens: prompt size to report when the provider didn't report usage
+// - toolInput(toolCall, index): the input for a tool call { id, name, arguments };
+//   repaired arguments by default
+function toAnthropicResponse(data, options = {}) {
+  const { stopSequences, toolset, clientName = toolset ? toolset.clientName : (name => name) } = options
+  const { inputTokens, toolInput = repairToolInput } = options
+  const model = options.model || data.model
+  const choice = data.choices[0]
+  const openaiMessage = choice.message
+
+  // Map finish_reason to anthropic stop_reason.
+  const stopSequence = matchedStopSequence(choice, stopSequences)
+  const stopReason = stopSequence ? 'stop_sequence' : mapStopReason(choice.finish_reason)
+  // Groq calls it `reasoning`, Moonshot, vLLM and DeepSeek `reasoning_content`.
+  const reasoning = openaiMessage.reasoning || openaiMessage.reasoning_content
+  const counts = tokenCounts(data.usage, {
+    inputTokens,
+    text: (reasoning || '') + (openaiMessage.content || ''),
+    model,
+  })
+
+  // Same block order as streams: thinking, text, then tool calls.
+  const content = []
+  if (reasoning) {
+    content.push({ type: 'thinking', thinking: reasoning, signature: THINKING_SIGNATURE })
+  }
+  if (openaiMessage.content) {
+    content.push({ type: 'text', text: openaiMessage.content })
+  }
+  for (const [index, toolCall] of (openaiMessage.tool_calls || []).entries()) {
+    const call = { id: toolCall.id, name: clientName(toolCall.function.name), arguments: toolCall.function.arguments }
+    content.push({ type: 'tool_use', id: call.id, name: call.name, input: toolInput(call, index) })
+  }
+
+  return {
+    content,
+    // Create a message id; if available, replace prefix, otherwise generate one.
+    id: data.id ? data.id.replace('chatcmpl', 'msg') : 'msg_' + Math.random().toString(36).substr(2, 24),
+    model,
+    role: 'assistant',
+    stop_reason: stopReason,
+    stop_sequence: stopSequence,
+    type: 'message',
+    usage: anthropicUsage(counts),
+  }
+}
+
+// Split an OpenAI SSE byte stream into its chunks. push() takes bytes and end() is called
+// once the stream is over; both return what was complete: { chunk } for each parsed chunk,
+// { done: true } for [DONE] and { malformed, error } for data that isn't JSON.
+function createStreamParser() {
+  const decoder = new TextDecoder('utf-8')
+  let buffer = '' // Buffer to accumulate partial chunks
+  let incompleteDataLine = '' // Buffer for incomplete data: lines
+
+  const parseLines = (text, final) => {
+    buffer += text
+    // Split by lines and process complete lines only
+    const lines = buffer.split('\n')
+    // Keep the last potentially incomplete line in the buffer, unless the stream has ended
+    buffer = final ? '' : lines.pop() || ''
+
+    const items = []
+    for (const line of lines) {
+      const trimmed = line.trim()
+      if (trimmed === '' || !trimmed.startsWith('data:')) continue
+
+      // Handle incomplete data lines by accumulating them
+      let dataStr = trimmed.replace(/^data:\s*/, '')
+      if (incompleteDataLine) {
+        dataStr = incompleteDataLine + dataStr
+        incompleteDataLine = ''
+      }
+      if (!dataStr) continue
+      if (dataStr === '[DONE]') {
+        items.push({ done: true })
+        continue
+      }
+
+      try {
+        items.push({ chunk: JSON.parse(dataStr) })
+      } catch (parseError) {
+        // Some providers split one chunk over several data: lines
+        if (parseError.message.includes('Unterminated') ||
+            parseError.message.includes('Unexpected end') ||
+            parseError.message.includes('Unexpected token')) {
+          incompleteDataLine = dataStr
+          continue
+        }
+        items.push({ malformed: dataStr, error: parseError.message })
+      }
+    }
+    return items
+  }
+
+  return {
+    push: bytes => parseLines(decoder.decode(bytes, { stream: true }), false),
+    end: () => parseLines(decoder.decode(), true),
+  }
+}
+
+// Translate the chunks of an OpenAI chat completions stream into Anthropic stream events.
+// Call push() with each parsed chunk and finish() at the end of the stream; events are
+// passed to `onEvent(type, data)`. finish() resolves with { stopReason, counts }.
+// Options are those of toAnthropicResponse, except that the tool input comes from
+// `resolveToolInput(toolCall)`, which may return a promise.
+function createStreamTranslator(options = {}) {
+  const {
+    model,
+    stopSequences,
+    toolset,
+    clientName = toolset ? toolset.clientName : (name => name),
+    inputTokens = 0,
+    resolveToolInput = repairToolInput,
+    onEvent,
+  } = options
+
+  let started = false
+  let accumulatedContent = ''
+  let accumulatedReasoning = ''
+  let usage = null
+  let encounteredToolCall = false
+  let finishReason = null
+  let stopSequence = null
+  const toolCallAccumulators = {}  // key: upstream tool call index, value: { id, name, arguments }
+
+  const start = () => {
+    started = true
+    onEvent('message_start', {
+      type: 'message_start',
+      message: {
+        id: 'msg_' + Math.random().toString(36).substr(2, 24),
+        type: 'message',
+        role: 'assistant',
+        model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        // Providers report usage at the end of the stream; message_delta corrects this
+        usage: { input_tokens: inputTokens, output_tokens: 0 },
+      }
+    })
+    onEvent('ping', { type: 'ping' })
+  }
+
+  // Content blocks are numbered in the order they are opened. One block is open at a
+  // time: thinking, text and each tool call get their own block, and opening the next
+  // block closes the previous one. Tool call arguments are collected until their block
+  // closes and sent as a single delta once they have been repaired and validated.
+  let nextBlockIndex = 0
+  let openBlock = null
+
+  const closeOpenBlock = async () => {
+    const block = openBlock
+    openBlock = null
+    if (!block) return
+    if (block.type === 'thinking') {
+      onEvent('content_block_delta', {
+        type: 'content_block_delta',
+        index: block.index,
+        delta: {
+          type: 'signature_delta',
+          signature: THINKING_SIGNATURE
+        }
+      })
+    }
+    if (block.type === 'tool_use') {
+      const input = await resolveToolInput(block.toolCall)
+      onEvent('content_block_delta', {
+        type: 'content_block_delta',
+        index: block.index,
+        delta: {
+          type: 'input_json_delta',
+          partial_json: JSON.stringify(input)
+        }
+      })
+    }
+    onEvent('content_block_stop', {
+      type: 'content_block_stop',
+      index: block.index
+    })
+  }
+
+  const startBlock = async (contentBlock, toolCall) => {
+    await closeOpenBlock()
+    openBlock = { index: nextBlockIndex++, type: contentBlock.type, toolCall }
+    onEvent('content_block_start', {
+      type: 'content_block_start',
+      index: openBlock.index,
+      content_block: contentBlock
+    })
+  }
+
+  return {
+    async push(chunk) {
+      if (!started) start()
+      // Capture usage if available.
+      usage = streamUsage(chunk) || usage
+      const streamChoice = chunk.choices?.[0]
+      if (streamChoice?.finish_reason) {
+        finishReason = streamChoice.finish_reason
+        stopSequence = matchedStopSequence(streamChoice, stopSequences)
+      }
+      const delta = streamChoice?.delta
+      if (!delta) return
+
+      // Groq calls it `reasoning`, Moonshot, vLLM and DeepSeek `reasoning_content`.
+      const reasoning = delta.reasoning || delta.reasoning_content
+      if (reasoning) {
+        if (openBlock?.type !== 'thinking') {
+          await startBlock({ type: 'thinking', thinking: '' })
+        }
+        accumulatedReasoning += reasoning
+        onEvent('content_block_delta', {
+          type: 'content_block_delta',
+          index: openBlock.index,
+          delta: {
+            type: 'thinking_delta',
+            thinking: reasoning
+          }
+        })
+      }
+
+      if (delta.content) {
+        if (openBlock?.type !== 'text') {
+          await startBlock({ type: 'text', text: '' })
+        }
+        accumulatedContent += delta.content
+        onEvent('content_block_delta', {
+          type: 'content_block_delta',
+          index: openBlock.index,
+          delta: {
+            type: 'text_delta',
+            text: delta.content
+          }
+        })
+      }
+
+      for (const toolCall of delta.tool_calls || []) {
+        encounteredToolCall = true
+        const idx = toolCall.index
+        if (toolCallAccumulators[idx] === undefined) {
+          const name = clientName(toolCall.function.name)
+          toolCallAccumulators[idx] = { id: toolCall.id, name, arguments: '' }
+          await startBlock({
+            type: 'tool_use',
+            id: toolCall.id,
+            name,
+            input: {}
+          }, toolCallAccumulators[idx])
+        }
+        // Most providers send argument fragments; some resend the whole string so far.
+        // Providers stream tool calls one after another, so this belongs to the open block.
+        const accumulator = toolCallAccumulators[idx]
+        const newArgs = toolCall.function?.arguments || ''
+        accumulator.arguments += accumulator.arguments && newArgs.startsWith(accumulator.arguments)
+          ? newArgs.substring(accumulator.arguments.length)
+          : newArgs
+      }
+    },
+
+    // Close the open block and end the message with its stop reason and usage
+    async finish() {
+      if (!started) start()
+      const counts = tokenCounts(usage, {
+        inputTokens,
+        text: accumulatedContent + accumulatedReasoning,
+        model,
+      })
+      // Some providers finish tool calls with "stop"; a cut-off tool call still hit the limit
+      const stopReason = stopSequence
+        ? 'stop_sequence'
+        : encounteredToolCall && finishReason !== 'length' ? 'tool_use' : mapStopReason(finishReason)
+
+      await closeOpenBlock()
+      onEvent('message_delta', {
+        type: 'message_delta',
+        delta: {
+          stop_reason: stopReason,
+          stop_sequence: stopSequence
+        },
+        usage: anthropicUsage(counts)
+      })
+      onEvent('message_stop', {
+        type: 'message_stop'
+      })
+      return { stopReason, counts }
+    },
+  }
+}
+
+function formatSSE(event, data) {
+  return `event: ${event}\n` +
+         `data: ${JSON.stringify(data)}\n\n`
+}
+
+// Transform an OpenAI chat completions SSE stream (a fetch response body, or any async
+// iterable of bytes) into Anthropic SSE. Yields the text to send to the client. An error
+// chunk from the upstream ends the stream with an `error` event of the matching type (see
+// mapUpstreamError). Takes the options of createStreamTranslator.
+async function* toAnthropicStream(body, options = {}) {
+  const events = []
+  const translator = createStreamTranslator({
+    ...options,
+    onEvent: (event, data) => events.push(formatSSE(event, data)),
+  })
+  const parser = createStreamParser()
+
+  // Returns true once the stream is over
+  const handle = async (items) => {
+    for (const item of items) {
+      if (item.done) {
+        await translator.finish()
+        return true
+      }
+      if (!item.chunk) continue
+      if (item.chunk.error) {
+        events.push(formatSSE('error', mapUpstreamError(null, item.chunk).body))
+        return true
+      }
+      await translator.push(item.chunk)
+    }
+    return false
+  }
+
+  for await (const bytes of body) {
+    const finished = await handle(parser.push(bytes))
+    yield* events.splice(0)
+    if (finished) return
+  }
+  // The upstream closed the stream without [DONE]
+  if (!(await handle(parser.end()))) await translator.finish()
+  yield* events.splice(0)
+}
+
+module.exports = {
+  buildMessages,
+  buildTools,
+  toOpenAIRequest,
+  toAnthropicResponse,
+  createStreamParser,
+  createStreamTranslator,
+  toAnthropicStream,
+  formatSSE,
+  anthropicError,
+  ERROR_STATUS,
+  mapUpstreamError,
+  // Shared with the Responses API translation in responses.js
+  imageSourceToUrl,
+  flattenToolResult,
+  anthropicUsage,
+  tokenCounts,
+  repairToolInput,
+}
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_DIR } = require('./config.js');
+
+const HISTORY_FILE = path.join(CONFIG_DIR, 'usage.jsonl');
+
+// USD per million tokens. Provider list prices at the time of writing; override or
+// extend them with `prices` in config.json.
+const DEFAULT_PRICES = {
+  'moonshotai/kimi-k2-instruct': { input: 1, output: 3 },
+  'moonshotai/kimi-k2-instruct-0905': { input: 1, output: 3 },
+  'kimi-k2-0711-preview': { input: 0.6, cachedInput: 0.15, output: 2.5 },
+  'kimi-k2-0905-preview': { input: 0.6, cachedInput: 0.15, output: 2.5 },
+  'kimi-k2-turbo-preview': { input: 2.4, cachedInput: 0.6, output: 10 },
+  'llama-3.1-8b-instant': { input: 0.05, output: 0.08 }
+};
+
+function cost(price, { inputTokens, cachedInputTokens, outputTokens }) {
+  if (!price) return null;
+  const uncached = inputTokens - cachedInputTokens;
+  const cached = cachedInputTokens * (price.cachedInput !== undefined ? price.cachedInput : price.input);
+  return (uncached * price.input + cached + outputTokens * price.output) / 1e6;
+}
+
+// Read token counts from an OpenAI usage object. Providers report cached prompt tokens
+// either in prompt_tokens_details (OpenAI) or at the top level (Moonshot). The Responses
+// API calls them input_tokens and output_tokens, with input_tokens_details.
+function readUsage(usage) {
+  const details = usage.prompt_tokens_details || usage.input_tokens_details;
+  return {
+    inputTokens: usage.prompt_tokens || usage.input_tokens || 0,
+    outputTokens: usage.completion_tokens || usage.output_tokens || 0,
+    cachedInputTokens: (details && details.cached_tokens) || usage.cached_tokens || 0
+  };
+}
+
+// Read token counts from an Anthropic usage object. Cache reads and writes are counted
+// separately from input_tokens there.
+function readAnthropicUsage(usage) {
+  const cacheRead = usage.cache_read_input_tokens || 0;
+  return {
+    inputTokens: (usage.input_tokens || 0) + cacheRead + (usage.cache_creation_input_tokens || 0),
+    outputTokens: usage.output_tokens || 0,
+    cachedInputTokens: cacheRead
+  };
+}
+
+// Add up tokens and cost per profile and model for one session
+function createUsageTracker({ prices = {} } = {}) {
+  const priceTable = { ...DEFAULT_PRICES, ...prices };
+  const startedAt = new Date().toISOString();
+  const entries = new Map();
+
+  return {
+    // Record one request. `counts` holds inputTokens, outputTokens and cachedInputTokens;
+    // `estimated` marks counts the proxy had to estimate.
+    record({ profile, model }, counts) {
+      const key = `${profile}\n${model}`;
+      if (!entries.has(key)) {
+        entries.set(key, {
+          profile,
+          model,
+          requests: 0,
+          estimatedRequests: 0,
+          inputTokens: 0,
+          cachedInputTokens: 0,
+          outputTokens: 0,
+          cost: 0,
+          priced: Boolean(priceTable[model])
+        });
+      }
+
+      const entry = entries.get(key);
+      const tokens = {
+        inputTokens: counts.inputTokens || 0,
+        cachedInputTokens: counts.cachedInputTokens || 0,
+        outputTokens: counts.outputTokens || 0
+      };
+      entry.requests += 1;
+      if (counts.estimated) entry.estimatedRequests += 1;
+      entry.inputTokens += tokens.inputTokens;
+      entry.cachedInputTokens += tokens.cachedInputTokens;
+      entry.outputTokens += tokens.outputTokens;
+      entry.cost += cost(priceTable[model], tokens) || 0;
+    },
+
+    summary() {
+      return {
+        startedAt,
+        endedAt: new Date().toISOString(),
+        entries: [...entries.values()]
+      };
+    }
+  };
+}
+
+function formatNumber(value) {
+  return value.toLocaleString('en-US');
+}
+
+function formatCost(value, priced = true) {
+  return priced ? `$${value.toFixed(4)}` : 'n/a';
+}
+
+// Add up entries grouped by `keyOf(entry, session)`
+function totals(sessions, keyOf) {
+  const groups = new Map();
+  for (const session of sessions) {
+    for (const entry of session.entries) {
+      const key = keyOf(entry, session);
+      const group = groups.get(key) || { key, requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, priced: true };
+      group.requests += entry.requests;
+      group.inputTokens += entry.inputTokens;
+      group.outputTokens += entry.outputTokens;
+      group.cost += entry.cost;
+      group.priced = group.priced && entry.priced;
+      groups.set(key, group);
+    }
+  }
+  return [...groups.values()];
+}
+
+function formatTable(title, rows) {
+  const width = Math.max(title.length, ...rows.map(row => row.key.length));
+  const lines = [[
+    title.padEnd(width),
+    'requests'.padStart(8),
+    'input'.padStart(11),
+    'output'.padStart(11),
+    'cost'.padStart(11)
+  ].join(' ')];
+  for (const row of rows) {
+    lines.push([
+      row.key.padEnd(width),
+      String(row.requests).padStart(8),
+      formatNumber(row.inputTokens).padStart(11),
+      formatNumber(row.outputTokens).padStart(11),
+      formatCost(row.cost, row.priced).padStart(11)
+    ].join(' '));
+  }
+  return lines.join('\n');
+}
+
+// Summary printed when a session ends
+function formatSessionSummary(summary) {
+  const rows = summary.entries.map(entry => ({ ...entry, key: entry.model }));
+  const total = totals([summary], () => 'Total')[0];
+  const estimated = summary.entries.reduce((acc, entry) => acc + entry.estimatedRequests, 0);
+  let text = formatTable('Model', [...rows, total]);
+  if (estimated > 0) {
+    text += `\n(${estimated} request${estimated === 1 ? '' : 's'} without upstream usage; tokens estimated)`;
+  }
+  return text;
+}
+
+// Append a finished session to the history file. Sessions without requests are skipped.
+function saveSession(summary) {
+  if (summary.entries.length === 0) return;
+  fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  fs.appendFileSync(HISTORY_FILE, JSON.stringify(summary) + '\n');
+}
+
+// Read the saved sessions. Lines that aren't a session, such as one cut off when kimi was
+// killed while writing it, are skipped and counted.
+function loadHistory() {
+  const history = { sessions: [], skipped: 0 };
+  if (!fs.existsSync(HISTORY_FILE)) return history;
+  for (const line of fs.readFileSync(HISTORY_FILE, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const session = JSON.parse(line);
+      if (!session || !Array.isArray(session.entries)) throw new Error('Not a session');
+      history.sessions.push(session);
+    } catch (error) {
+      history.skipped += 1;
+    }
+  }
+  return history;
+}
+
+// Report totals by day, model and profile for sessions started in the last `days` days
+function formatHistoryReport({ days }) {
+  const since = Date.now() - days * 24 * 60 * 60 * 1000;
+  const history = loadHistory();
+  const sessions = history.sessions.filter(session => Date.parse(session.startedAt) >= since);
+  const skipped = history.skipped > 0
+    ? `\n(Skipped ${history.skipped} unreadable line${history.skipped === 1 ? '' : 's'} in ${HISTORY_FILE})`
+    : '';
+  if (sessions.length === 0) {
+    return `No usage recorded in the last ${days} days.` + skipped;
+  }
+
+  const byKey = (a, b) => a.key.localeCompare(b.key);
+  const total = totals(sessions, () => 'Total');
+  return [
+    formatTable('Day', [...totals(sessions, (entry, session) => session.startedAt.slice(0, 10)).sort(byKey), ...total]),
+    formatTable('Model', totals(sessions, entry => entry.model).sort(byKey)),
+    formatTable('Profile', totals(sessions, entry => entry.profile).sort(byKey))
+  ].join('\n\n') + skipped;
+}
+
+module.exports = {
+  HISTORY_FILE,
+  readUsage,
+  readAnthropicUsage,
+  createUsageTracker,
+  formatSessionSummary,
+  saveSession,
+  formatHistoryReport
+};